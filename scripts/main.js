@@ -2,7 +2,8 @@
  * ============================================================================
  * 模块名称: Visual QTE (视觉系快速反应事件)
  * 功能描述: 为 Foundry VTT 提供高互动性的 QTE 系统
- *           包含 [精准点击] 和 [疯狂连打] 两种模式
+ *           包含 [精准点击]、[疯狂连打]、[蓄力释放]、[方向连招]、[点击目标]、
+ *           [保持平衡] 和 [限时抉择] 七种模式
  *           支持音效、动画反馈、自定义难度及战报统计
  * 作者: Tiwelee
  * 版本: 1.2.0
@@ -36,6 +37,356 @@ const SOUNDS = {
     BAD:     `modules/${MODULE_ID}/sounds/bad.wav`       // 失误表现音效
 };
 
+/**
+ * 蓄力模式: 等待玩家按下按键的最长时间(毫秒)
+ * @constant {number}
+ */
+const HOLD_PRESS_TIMEOUT = 3000;
+
+/**
+ * 蓄力模式: 往返蓄力时允许持续按住的最大周期数（按单程蓄满时长计）
+ * @constant {number}
+ */
+const HOLD_MAX_LEGS = 3;
+
+/**
+ * 连招模式: 方向输入定义
+ * 每个方向同时接受方向键与 WASD
+ * @constant {object}
+ */
+const COMBO_DIRECTIONS = {
+    up:    { symbol: '↑', codes: ['ArrowUp', 'KeyW'] },
+    down:  { symbol: '↓', codes: ['ArrowDown', 'KeyS'] },
+    left:  { symbol: '←', codes: ['ArrowLeft', 'KeyA'] },
+    right: { symbol: '→', codes: ['ArrowRight', 'KeyD'] }
+};
+
+/**
+ * 连招模式结束原因对应的结果文本
+ * @constant {object}
+ */
+const COMBO_END_TEXT = {
+    complete: "连招成功!",
+    mistake:  "连招中断!",
+    timeout:  "时间耗尽!"
+};
+
+/**
+ * 平衡模式: 漂移力每段持续的毫秒数
+ * 漂移序列由 trigger() 预先生成，保证所有玩家面对相同的扰动
+ * @constant {number}
+ */
+const BALANCE_DRIFT_SEGMENT = 600;
+
+/**
+ * 平衡模式: 结束原因对应的结果文本
+ * @constant {object}
+ */
+const BALANCE_END_TEXT = {
+    stable:   "保持平衡!",
+    unstable: "失去平衡!"
+};
+
+/**
+ * 多人连打: 裁判向参与者广播进度的最短间隔(毫秒)
+ * @constant {number}
+ */
+const VERSUS_TICK = 50;
+
+/**
+ * 对抗连打: 结束原因对应的结果文本
+ * @constant {object}
+ */
+const VERSUS_END_TEXT = {
+    knockout: "压制获胜!",
+    timeout:  "时间到，判定获胜!",
+    draw:     "平局!"
+};
+
+/**
+ * 抉择模式: 超时且没有默认选项时的"沉默"选项序号
+ * @constant {number}
+ */
+const CHOICE_SILENCE = -1;
+
+/**
+ * 实时监控: 高频进度（连打/平衡）向发起者汇报的最短间隔(毫秒)
+ * @constant {number}
+ */
+const MONITOR_THROTTLE = 250;
+
+/**
+ * 实时监控: 参与者状态对应的显示文本
+ * @constant {object}
+ */
+const MONITOR_STATUS = {
+    waiting:      "等待中",
+    playing:      "进行中",
+    completed:    "已完成",
+    timeout:      "未回应",
+    disconnected: "已掉线",
+    aborted:      "已中止",
+    queued:       "排队中",
+    expired:      "已过期",
+    interrupted:  "被打断"
+};
+
+/**
+ * GM 中止会话时在玩家屏幕上显示的文本
+ * @constant {string}
+ */
+const ABORT_TEXT = "已被 GM 中止";
+
+/**
+ * trigger() 的通用出厂默认参数
+ * 各模式的专属参数由模式定义的 defaults 提供；世界设置中的「默认参数」会覆盖其中的同名项
+ * @constant {object}
+ */
+const DEFAULT_CONFIG = {
+    title: "",           // 默认标题为空字符串
+    mode: 'sequence',    // 默认序列模式
+    gmPlay: true,        // 默认GM参与
+    targetIds: [],       // 默认空数组表示广播所有人
+    timeout: 0,          // 默认0表示根据模式参数自动估算等待时长
+    monitor: null,       // 默认null表示 GM 不参与时自动打开监控面板
+    priority: 'queue',   // 默认玩家正忙时排队
+    queueTimeout: 30000, // 默认最多排队30秒
+    countdown: 0,        // 默认不显示开场倒计时
+    startDelay: 500,     // 默认预留0.5秒网络延迟
+    feedbackDelay: 800,  // 默认每步评价展示0.8秒
+    resultDelay: 1500    // 默认结算画面停留1.5秒
+};
+
+/**
+ * 无障碍配置的默认值（保存在用户的 flags 中，每位玩家各自一份）
+ * @constant {object}
+ * @property {number} timingScale - 时间倍率：判定时长/宽容度等乘以该值，连打衰减等除以该值
+ * @property {boolean} reduceEffects - 关闭抖动与闪烁效果
+ * @property {boolean} colorBlind - 使用色盲友好配色替代金/绿/红
+ * @property {boolean} textLabels - 为仅靠颜色区分的提示附加文字标注
+ */
+const DEFAULT_PROFILE = {
+    timingScale: 1,
+    reduceEffects: false,
+    colorBlind: false,
+    textLabels: false
+};
+
+/**
+ * 序列模式收缩圆环的基准直径(像素)，实际显示尺寸再乘以客户端的界面缩放
+ * @constant {number}
+ */
+const SEQUENCE_RING_SIZE = 300;
+
+/**
+ * 模板资源路径
+ * @constant {object}
+ */
+const TEMPLATES = {
+    CHAT_CARD: `modules/${MODULE_ID}/templates/qte-chat-card.hbs`,             // 结果战报卡片
+    CHOICE_SUMMARY: `modules/${MODULE_ID}/templates/qte-choice-summary.hbs`,  // 抉择汇总 (仅GM可见)
+    MONITOR: `modules/${MODULE_ID}/templates/qte-monitor.hbs`,                 // GM 实时监控面板
+    SETTINGS: `modules/${MODULE_ID}/templates/qte-settings.hbs`,               // 默认参数设置
+    ACCESSIBILITY: `modules/${MODULE_ID}/templates/qte-accessibility.hbs`,     // 无障碍配置
+    OUTCOME: `modules/${MODULE_ID}/templates/qte-outcome.hbs`,                 // 结果效果战报
+    SCENARIO_CARD: `modules/${MODULE_ID}/templates/qte-scenario-card.hbs`,     // 多阶段剧本战报
+    SCENARIO_EDITOR: `modules/${MODULE_ID}/templates/qte-scenario-editor.hbs`, // 多阶段剧本编辑器
+    COMBAT_CARD: `modules/${MODULE_ID}/templates/qte-combat-card.hbs`          // 战斗 QTE 战报
+};
+
+/**
+ * 结果效果的评价档位
+ * perfect 未配置时沿用 success 的效果
+ */
+const OUTCOME_TIERS = {
+    perfect: { label: "完美", grade: 'perfect' },
+    success: { label: "成功", grade: 'clear' },
+    fail: { label: "失败", grade: 'fail' }
+};
+
+/** GM 端登记的结果效果会话的保留时长(毫秒)，覆盖排队与暂停造成的延迟 */
+const OUTCOME_SESSION_TTL = 60 * 60 * 1000;
+
+/**
+ * 内置模式的显示名称
+ * @constant {object}
+ */
+const MODE_LABELS = {
+    sequence: "精准点击",
+    mash: "疯狂连打",
+    hold: "蓄力释放",
+    combo: "方向连招",
+    aim: "点击目标",
+    balance: "保持平衡",
+    choice: "限时抉择"
+};
+
+/**
+ * 反应 QTE 的内置配置
+ * 世界设置「反应 QTE 预设」留空时使用：单键、较短的判定时长
+ */
+const REACTION_CONFIG = {
+    title: "反应",
+    mode: 'sequence',
+    count: 1,
+    duration: 1800
+};
+
+/** 战斗 QTE 的触发方式 */
+const COMBAT_QTE_KINDS = {
+    turn: "回合开始",
+    reaction: "反应"
+};
+
+/**
+ * 公开钩子名称
+ * 
+ * PRE_TRIGGER      - Hooks.call，发起者客户端合并默认值与模式预处理之后、生成参与者与挑战内容之前调用，
+ *                    可修改数据（sessionId/senderId 只读），返回 false 取消本次 QTE (data)
+ * SESSION_START    - 参与者客户端，倒计时结束、正式开始时 (data)
+ * STEP_SHOWN       - 参与者客户端，序列/蓄力模式的一步出现时 ({ sessionId, mode, index, step })
+ * STEP_RESOLVED    - 参与者客户端，序列/蓄力模式的一步判定后 ({ sessionId, mode, index, step, result })
+ * MASH_MILESTONE   - 参与者客户端，连打进度（起始为 50）首次降到 25/0 或升到 75/100 时 ({ sessionId, milestone, progress })
+ * SESSION_ABORTED  - 参与者客户端，QTE 被 GM 中止时 ({ sessionId, mode })
+ * SESSION_END      - 发起者客户端，全部参与者的结果到齐时 (data, results)
+ * REGISTER_MODES   - 所有客户端，init 中内置模式注册完毕后，用于注册自定义模式 (VisualQTE)
+ * @constant {object}
+ */
+const HOOKS = {
+    PRE_TRIGGER: "visualQTE.preTrigger",
+    SESSION_START: "visualQTE.sessionStart",
+    STEP_SHOWN: "visualQTE.stepShown",
+    STEP_RESOLVED: "visualQTE.stepResolved",
+    MASH_MILESTONE: "visualQTE.mashMilestone",
+    SESSION_ABORTED: "visualQTE.sessionAborted",
+    SESSION_END: "visualQTE.sessionEnd",
+    REGISTER_MODES: "visualQTE.registerModes"
+};
+
+/** 触发 MASH_MILESTONE 钩子的连打进度：低于 50 的向下越过时触发，高于 50 的向上越过时触发 */
+const MASH_MILESTONES = [0, 25, 75, 100];
+
+/** 单个剧本最多运行的阶段数，防止分支成环时无限循环 */
+const SCENARIO_MAX_STAGES = 20;
+
+/**
+ * 剧本结局
+ * grade 对应战报卡片的配色
+ */
+const SCENARIO_ENDINGS = {
+    win: { label: "胜利", grade: 'clear' },
+    lose: { label: "失败", grade: 'fail' },
+    aborted: { label: "已中止", grade: 'pass' },
+    error: { label: "出错中止", grade: 'fail' }
+};
+
+/**
+ * 结果效果类型（配置窗口中可选的部分）
+ * value 字段在 status 类型下为状态ID，在 macro 类型下为宏 UUID
+ */
+const OUTCOME_TYPES = {
+    damage: { label: "伤害", icon: 'fa-heart-crack' },
+    heal: { label: "治疗", icon: 'fa-heart' },
+    rollBonus: { label: "下次掷骰调整值", icon: 'fa-dice-d20' },
+    status: { label: "状态", icon: 'fa-bolt' },
+    effect: { label: "主动效果", icon: 'fa-magic' },
+    macro: { label: "执行宏", icon: 'fa-code' }
+};
+
+/**
+ * 总体评价等级对应的战报文本
+ * @constant {object}
+ */
+const GRADE_TEXT = {
+    perfect: "完美达成!!",
+    clear:   "全部成功!",
+    pass:    "成功",
+    fail:    "失败"
+};
+
+/**
+ * 连打模式结束原因对应的结果文本
+ * @constant {object}
+ */
+const MASH_END_TEXT = {
+    breakthrough: "突破成功!",
+    overpowered:  "被压制!",
+    timeout:      "时间耗尽!"
+};
+
+/**
+ * 单个参与者的 QTE 结果
+ * 
+ * @typedef {object} QTEResult
+ * @property {string} sessionId - 会话ID
+ * @property {string} userId - 玩家ID
+ * @property {string} userName - 玩家名称
+ * @property {string} [actorUuid] - 以 Token/角色指定目标时，该玩家代表的角色 UUID
+ * @property {string} [actorName] - 以 Token/角色指定目标时，该玩家代表的角色名称
+ * @property {string} mode - QTE 模式
+ * @property {string} title - QTE 事件标题
+ * @property {object} [accessibility] - 生效中的无障碍配置（仅在与默认值不同时存在）
+ * @property {string} status - 'completed'(完成) | 'timeout'(未回应) | 'disconnected'(掉线) | 'aborted'(被 GM 中止)
+ *           | 'expired'(排队过久) | 'interrupted'(被更高优先级的 QTE 打断)
+ * @property {boolean} success - 是否成功
+ * @property {Array<object>} [steps] - [序列/蓄力/点击模式] 每一步的 { key, rating, ratingText, success, diff }
+ *           点击模式下 diff 为反应时间
+ * @property {object} [totals] - [序列/蓄力/点击模式] 各评价数量 { perfect, good, bad }
+ * @property {string} [grade] - [序列/蓄力/点击模式] 总体评价: 'perfect' | 'clear' | 'pass' | 'fail'
+ * @property {number} [accuracy] - [点击模式] 点击精度 (命中次数占全部点击的百分比)
+ * @property {number} [misclicks] - [点击模式] 未点中目标的次数
+ * @property {number} [stability] - [平衡模式] 指针位于安全区内的时间百分比
+ * @property {number} [choice] - [抉择模式] 选中的选项序号，-1 表示沉默
+ * @property {string} [choiceText] - [抉择模式] 选中的选项文本
+ * @property {number} [reactionTime] - [抉择模式] 做出选择的用时(毫秒)
+ * @property {number} [progress] - [连打模式] 结束时的进度值 (0-100)，对抗连打中为左方的进度
+ * @property {string} [variant] - [连打模式] 玩法: 'solo' | 'versus' | 'coop'
+ * @property {string} [winnerId] - [对抗连打] 获胜者ID，平局为 null
+ * @property {string} [side] - [对抗连打] 该玩家所在的一端: 'left' | 'right'
+ * @property {number} [presses] - [对抗/合作连打] 该玩家的有效按键次数
+ * @property {number} [share] - [对抗/合作连打] 该玩家按键占全部按键的百分比
+ * @property {string} [endReason] - 结束原因
+ *           [连打模式] 'breakthrough' | 'overpowered' | 'timeout'
+ *           [对抗连打] 'knockout' | 'timeout' | 'draw'
+ *           [连招模式] 'complete' | 'mistake' | 'timeout'
+ *           [平衡模式] 'stable' | 'unstable'
+ *           [抉择模式] 'picked' | 'timeout'
+ * @property {Array<object>} [inputs] - [连招模式] 每个方向输入的 { symbol, hit, split }，split 为距上一次命中的毫秒数
+ * @property {number} [mistakes] - [连招模式] 输错次数
+ * @property {number} [elapsed] - [连招模式] 总用时(毫秒)
+ */
+
+/**
+ * QTE 模式定义，通过 VisualQTE.registerMode() 注册
+ *
+ * 发起者客户端依次调用 prepare → generate → personalize → estimateTimeout → onResults，
+ * 参与者客户端先以 scaleTiming 应用无障碍配置，倒计时结束后创建 runtime 的实例并调用 start()
+ *
+ * @typedef {object} QTEModeDefinition
+ * @property {string} [label] - 显示名称，缺省为模式ID
+ * @property {object} [defaults] - 模式专属参数的默认值，合并进 getDefaults()；数值参数同样支持公式
+ * @property {typeof QTEModeRuntime} runtime - 参与者客户端的运行时类，必须继承 QTEModeRuntime
+ * @property {function(object): (boolean|void)} [prepare] - 合并默认值后的预处理与校验，返回 false 取消本次 QTE；
+ *           preTrigger 钩子之后会再调用一次，因此需可重复执行
+ * @property {function(object): void} [generate] - 预先生成随机内容，直接写入数据对象；只在发起时调用一次，所有参与者共用
+ * @property {function(object, object): void} [personalize] - 参数含公式时，按个人参数调整各参与者副本中已生成的内容
+ *           (payload, data)；共享数据中的公式参数为所有参与者的最大值
+ * @property {function(object, number): void} [scaleTiming] - 按无障碍时间倍率 k 放宽参与者副本中的限时参数，直接修改数据对象；
+ *           未提供时由运行时自行读取 timingScale
+ * @property {function(object): number} [estimateTimeout] - 单局最长耗时(毫秒)，缺省为 30 秒
+ * @property {function(object, Object<string, QTEResult>): void} [onResults] - 全部结果到齐后在发起者客户端调用
+ * @property {Array<object>} [settings] - 「默认参数」设置窗口中的字段 { name, label, min?, max?, step?, options? }；
+ *           未提供时列出 defaults 中的数值与开关参数
+ * @property {object} [dialog] - 配置界面中的参数区
+ * @property {string} dialog.template - 参数区模板路径，渲染上下文为 { defaults, choices }
+ * @property {function(object): object} [dialog.read] - 将表单数据 (FormDataExtended) 转为 trigger() 配置
+ * @property {object} [report] - 战报卡片
+ * @property {string|function(QTEResult): string} [report.title] - 未设置事件标题时的默认标题
+ * @property {function(QTEResult, string): {headline?: string, subtitle?: string, grade?: string}} [report.summarize] - 根据结果生成标题、副标题与配色
+ *           grade: 'perfect' | 'clear' | 'pass' | 'fail'；未提供时按 success 取 'clear' 或 'fail'；结果自带 grade 时不调用
+ * @property {string} [report.template] - 战报详情模板路径，以结果对象渲染并插入卡片
+ */
+
 // ============================================================================
 // 1. 核心逻辑 API - VisualQTE 类
 // ============================================================================
@@ -50,85 +401,207 @@ const SOUNDS = {
  */
 class VisualQTE {
 
+    /**
+     * 等待结果回传的会话表
+     * key 为会话ID，value 为 { data, resolve, pending, results, timer }
+     * @static @type {Map<string, object>}
+     */
+    static pendingSessions = new Map();
+
     /**
      * 触发 QTE 事件的主入口方法
      * 
      * 根据配置生成数据，并通过 Socket 分发给客户端
-     * 支持两种模式：序列模式(精准点击) 和 连打模式(疯狂连打)
+     * 支持的模式见 config.mode
      * 
      * @param {Object} config - 配置参数对象
-     * @param {string} [config.mode='sequence'] - QTE 模式: 'sequence'(精准点击) | 'mash'(疯狂连打)
+     * @param {string} [config.mode='sequence'] - QTE 模式: 'sequence'(精准点击) | 'mash'(疯狂连打) | 'hold'(蓄力释放) | 'combo'(方向连招) | 'aim'(点击目标) | 'balance'(保持平衡) | 'choice'(限时抉择)，或通过 registerMode() 注册的模式ID
      * @param {number} [config.count=3] - [序列模式] 连击次数
      * @param {number} [config.duration=2500] - [序列模式] 单次判定时长(毫秒)
      * @param {number} [config.windowSize=300] - [序列模式] 判定宽容度(毫秒)
      * @param {number} [config.mashDecay=30] - [连打模式] 每秒衰减速度
      * @param {number} [config.mashDuration=10] - [连打模式] 限时(秒)
      * @param {number} [config.mashPower=6] - [连打模式] 每次按键增加的进度值
+     * @param {string} [config.mashVariant='solo'] - [连打模式] 玩法: 'solo'(单人对抗衰减) | 'versus'(两名玩家拔河，targetIds 需恰好两人) | 'coop'(全体合力推同一进度条)
+     * @param {boolean} [config.mashScaleDecay=true] - [合作连打] 衰减是否按参与人数倍增
+     * @param {number} [config.holdCount=1] - [蓄力模式] 蓄力次数
+     * @param {number} [config.holdFillTime=1500] - [蓄力模式] 蓄力条从空到满的毫秒数
+     * @param {number} [config.holdZoneWidth=20] - [蓄力模式] 目标区宽度(占蓄力条的百分比)
+     * @param {boolean} [config.holdOscillate=false] - [蓄力模式] 蓄满后是否往回走（往返蓄力）
+     * @param {number} [config.comboLength=6] - [连招模式] 方向输入的个数
+     * @param {number} [config.comboTimeLimit=5000] - [连招模式] 输完整串的限时(毫秒)
+     * @param {string} [config.comboOnMistake='reset'] - [连招模式] 输错时: 'reset'(从头再来) | 'fail'(直接失败)
+     * @param {number} [config.aimCount=5] - [点击模式] 目标个数
+     * @param {number} [config.aimLifetime=1500] - [点击模式] 每个目标的存在时长(毫秒)
+     * @param {number} [config.aimInterval=800] - [点击模式] 相邻目标出现的间隔(毫秒)
+     * @param {number} [config.aimSize=80] - [点击模式] 目标直径(像素)
+     * @param {string} [config.aimMotion='static'] - [点击模式] 目标运动方式: 'static'(静止) | 'move'(移动) | 'shrink'(缩小)
+     * @param {number} [config.balanceDuration=10] - [平衡模式] 需要坚持的秒数
+     * @param {number} [config.balanceDrift=40] - [平衡模式] 漂移强度，越大指针越难控制
+     * @param {number} [config.balanceZoneWidth=30] - [平衡模式] 安全区宽度(占刻度的百分比)
+     * @param {number} [config.balanceThreshold=70] - [平衡模式] 成功所需的区内时间百分比
+     * @param {Array<string>} [config.choices=[]] - [抉择模式] 2~4 个选项文本
+     * @param {number} [config.choiceTime=10] - [抉择模式] 倒计时(秒)
+     * @param {number} [config.choiceDefault=-1] - [抉择模式] 超时时自动选中的选项序号(从0开始)，-1 表示沉默
+     * @param {string} [config.choiceSilenceText="（沉默）"] - [抉择模式] 沉默选项的显示文本
      * @param {boolean} [config.gmPlay=true] - GM 是否参与 (仅广播模式有效)
      * @param {Array<string>} [config.targetIds=[]] - 指定目标玩家ID，为空则广播所有人
+     * @param {string|Array<Token|TokenDocument|string>} [config.tokens] - 以 Token 指定目标: 'selected'(当前选中) | 'targeted'(当前瞄准) | Token 或其 UUID 数组
+     * @param {Array<Actor|string>} [config.actors] - 以角色指定目标: Actor 或其 UUID 数组
+     *        Token/角色会解析为在线的玩家拥有者，无玩家拥有者时由 GM 代为参与；与 targetIds 合并
      * @param {string} [config.title=""] - QTE 事件标题，用于战报显示
+     * @param {number} [config.timeout=0] - 等待结果回传的最长时间(毫秒)，0 表示按模式参数自动估算
+     * @param {boolean} [config.monitor] - 是否为 GM 打开实时监控面板，默认在 GM 不参与时打开
+     * @param {string} [config.priority='queue'] - 玩家正忙时的处理: 'queue'(排队等待) | 'interrupt'(打断当前 QTE)
+     * @param {number} [config.queueTimeout=30000] - 排队的最长等待时间(毫秒)，超过后该玩家记为 'expired'，0 表示不过期
+     * @param {number} [config.countdown=0] - 开始前显示的 "3, 2, 1, GO" 倒计时秒数，0 表示不显示
+     * @param {number} [config.startDelay=500] - 统一开始时间的提前量(毫秒)，用于抵消网络延迟
+     * @param {number} [config.feedbackDelay=800] - 每一步评价的展示时长(毫秒)
+     * @param {number} [config.resultDelay=1500] - 结算画面的停留时长(毫秒)
+     *        以上数值参数均可写成 Roll 公式字符串，按每位参与者所代表角色的 getRollData() 分别求值
+     * @param {object} [config.outcomes] - 结果效果，按评价档位 { perfect, success, fail } 配置单个或多个效果:
+     *        { type: 'damage' | 'heal', value: "2d6", path? } | { type: 'rollBonus', value: 2 } | { type: 'status', id: "prone" }
+     *        | { type: 'effect', name, img?, duration?, changes?, statuses? } | { type: 'macro', uuid }
+     *        由 GM 客户端作用于每位参与者所代表的角色（或其指定角色）
+     * @param {string} [config.preset] - 预设名称，以该预设为基础，其余参数覆盖预设中的同名项
+     * @returns {Promise<Object<string, QTEResult>|null>} 全部参与者结束后，以用户ID为键的结果表
      * 
      * @example
-     * // 触发一个序列模式的 QTE
-     * VisualQTE.trigger({
+     * // 触发一个序列模式的 QTE，并根据结果分支
+     * const results = await VisualQTE.trigger({
      *     mode: 'sequence',
      *     count: 5,
      *     duration: 3000,
      *     title: "魔法封印解除"
      * });
+     * const winners = Object.values(results).filter(r => r.success);
      */
-    static trigger(config = {}) {
+    static async trigger(config = {}) {
         // 1. 环境检查 - 确保 Socket 系统已就绪
         if (!qteSocket) {
-            return ui.notifications.error("Visual-QTE | Socketlib 未加载，无法运行。");
+            ui.notifications.error("Visual-QTE | Socketlib 未加载，无法运行。");
+            return null;
         }
 
-        // 2. 合并默认参数，确保所有配置项都有合理的默认值
-        const data = foundry.utils.mergeObject({
-            title: "",           // 默认标题为空字符串
-            mode: 'sequence',    // 默认序列模式
-            count: 3,            // 默认3次连击
-            duration: 2500,      // 默认2.5秒判定时长
-            windowSize: 300,     // 默认300毫秒宽容度
-            mashDecay: 30,       // 默认每秒衰减30点
-            mashDuration: 10,    // 默认10秒时限
-            mashPower: 6,        // 默认每次按键增加6点进度
-            gmPlay: true,        // 默认GM参与
-            targetIds: []        // 默认空数组表示广播所有人
-        }, config);
+        // 1.5 展开预设：预设中的参数作为基础，调用时传入的参数优先
+        if (config.preset) {
+            const { preset, ...overrides } = config;
+            const saved = VisualQTE.getPresets()[preset];
+            if (!saved) {
+                ui.notifications.error(`Visual-QTE | 找不到名为「${preset}」的预设。`);
+                return null;
+            }
+            config = { ...foundry.utils.deepClone(saved), ...overrides };
+        }
 
-        // 3. 序列模式数据预处理 - 预先生成随机按键序列
-        if (data.mode === 'sequence') {
-            data.sequence = [];
-            const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ '; // 26个字母 + 空格
+        // 1.6 Token/角色目标不随数据发送，先取出留待解析
+        const { tokens, actors, ...params } = config;
 
-            for (let i = 0; i < data.count; i++) {
-                // 随机按键生成逻辑
-                const randomChar = chars.charAt(Math.floor(Math.random() * chars.length));
-                const keyDisplay = randomChar === ' ' ? 'SPACE' : randomChar;  // 空格键显示为"SPACE"
-                const keyCode = randomChar === ' ' ? 'Space' : `Key${randomChar}`; // 对应的键盘码
-                
-                // 随机判定时间点 (总时长的 30% ~ 70% 区间)
-                // 这样避免按键出现在开始或结束的太边缘位置
-                const minRatio = 0.3;
-                const maxRatio = 0.7;
-                const randomRatio = Math.random() * (maxRatio - minRatio) + minRatio;
-                const targetTime = data.duration * randomRatio;
+        // 2. 合并默认参数（出厂默认值 + 世界设置），确保所有配置项都有合理的默认值
+        const data = foundry.utils.mergeObject(VisualQTE.getDefaults(), params);
 
-                // 构建单个按键数据对象
-                data.sequence.push({
-                    id: i,                           // 序列ID
-                    keyDisplay: keyDisplay,          // 显示文本
-                    targetKey: keyCode,              // 目标按键代码
-                    duration: data.duration,         // 总持续时间
-                    hitTime: targetTime,             // 最佳命中时间点
-                    windowSize: data.windowSize      // 判定窗口大小
-                });
+        // 2.5 将 Token/角色解析为其拥有者，并记录每位玩家代表的角色
+        if (tokens || actors) {
+            const characters = VisualQTE.resolveCharacters({ tokens, actors });
+            if (foundry.utils.isEmpty(characters)) {
+                ui.notifications.error("Visual-QTE | 没有找到可参与的 Token 或角色。");
+                return null;
             }
+
+            data.characters = characters;
+            data.targetIds = [...new Set([...(data.targetIds ?? []), ...Object.keys(characters)])];
+            // 无玩家拥有者的 NPC 由 GM 代为参与
+            if (Object.keys(characters).some(id => game.users.get(id)?.isGM)) data.gmPlay = true;
+        }
+
+        // 实时监控仅对 GM 发起者有效；开启后客户端会持续汇报进度
+        if (data.monitor === null) data.monitor = !data.gmPlay;
+        data.monitor = data.monitor && game.user.isGM;
+
+        // 会话标识：用于客户端回传结果时匹配到本次触发
+        data.sessionId = foundry.utils.randomID();
+        data.senderId = game.user.id;
+
+        // 3.1 模式的数据预处理与校验（多人连打的阵营、抉择的选项等）
+        let mode = VisualQTE.getMode(data.mode);
+        if (!mode) {
+            ui.notifications.error(`Visual-QTE | 未知的 QTE 模式「${data.mode}」。`);
+            return null;
+        }
+        if (mode.prepare?.(data) === false) return null;
+
+        // 3.2 公开钩子：其他模块可在此修改或取消本次 QTE；
+        // 参与者、公式参数与挑战内容都在钩子之后按修改后的数据生成
+        if (Hooks.call(HOOKS.PRE_TRIGGER, data) === false) {
+            console.log(`${MODULE_ID} | QTE [${data.mode}] 已被 ${HOOKS.PRE_TRIGGER} 钩子取消。`);
+            return null;
+        }
+
+        // 钩子可能改动了模式或目标，重新预处理以更新派生数据
+        mode = VisualQTE.getMode(data.mode);
+        if (!mode) {
+            ui.notifications.error(`Visual-QTE | 未知的 QTE 模式「${data.mode}」。`);
+            return null;
+        }
+        if (mode.prepare?.(data) === false) return null;
+
+        // 3.10 公式参数：按每位参与者的角色数据分别求值，得到各自的参数
+        const participants = VisualQTE.getParticipants(data);
+        let personal;
+        try {
+            personal = await VisualQTE.evaluateFormulas(data, participants);
+        } catch (err) {
+            console.error(`${MODULE_ID} | 公式求值失败:`, err);
+            ui.notifications.error(`Visual-QTE | 参数公式无效: ${err.message}`);
+            return null;
+        }
+
+        // 统一开始时间（服务器时间）：各客户端按自身与服务器的时差换算，保证同时开始
+        data.startAt = game.time.serverTime + data.startDelay + data.countdown * 1000;
+
+        // 3.11 预先生成挑战内容（按键序列、目标区等），所有参与者共用同一份随机内容；
+        // 含公式时只把个人参数写入各自的副本，再由模式按个人参数调整已生成的内容
+        VisualQTE.generateChallenge(data);
+        const payloads = personal && Object.fromEntries(participants.map(userId => {
+            const payload = foundry.utils.mergeObject(foundry.utils.deepClone(data), personal[userId]);
+            mode.personalize?.(payload, data);
+            return [userId, payload];
+        }));
+
+        // 4. 登记等待结果的会话（必须在分发之前，避免本地结果先于登记返回）
+        let promise = VisualQTE.awaitResults(data, participants);
+
+        // 模式的汇总处理：全部结果到齐后调用（如抉择模式为 GM 汇总每个人的选择）
+        if (mode.onResults) {
+            promise = promise.then(results => {
+                mode.onResults(data, results);
+                return results;
+            });
+        }
+
+        // 结果效果：先登记到 GM 端，全部结果到齐后按评价档位交由 GM 落实
+        if (data.outcomes) {
+            VisualQTE.registerOutcomes(data);
+            promise = promise.then(results => {
+                VisualQTE.applyOutcomes(data, results);
+                return results;
+            });
         }
 
-        // 4. Socket 数据分发策略
-        if (data.targetIds && data.targetIds.length > 0) {
+        // 多人连打由发起者客户端担任裁判，维护唯一的权威进度
+        if (data.versus || data.team) VisualQTE.startMashMatch(data);
+
+        // 5. Socket 数据分发策略
+        if (payloads) {
+            // --- 个性化发送模式 ---
+            // 参数含公式时，每位参与者收到按自己角色求值的数据
+            const online = participants.filter(userId => game.users.get(userId)?.active);
+            for (const userId of online) {
+                qteSocket.executeAsUser("startQTESession", userId, payloads[userId])
+                    .catch(err => console.warn(`${MODULE_ID} | 发送 QTE 失败:`, err));
+            }
+            ui.notifications.info(`QTE [${data.mode}] 已按角色参数分别发送给 ${online.length} 位玩家。`);
+        } else if (data.targetIds && data.targetIds.length > 0) {
             // --- 定向发送模式 ---
             // 仅发送给列表中的指定玩家ID
             qteSocket.executeForUsers("startQTESession", data.targetIds, data);
@@ -138,844 +611,5972 @@ class VisualQTE {
             qteSocket.executeForEveryone("startQTESession", data);
             ui.notifications.info(`QTE [${data.mode}] 已广播给所有人。`);
         }
+
+        return promise;
     }
 
     /**
-     * 打开 QTE 配置对话框的快捷方法
+     * 按模式预先生成挑战内容
      * 
-     * 提供给 GM 用户快速访问配置界面的入口
+     * 随机的按键序列、蓄力目标区、方向串、点击目标与漂移力都在发起时生成，
+     * 保证同一份数据在各客户端上表现一致。具体内容由模式定义的 generate() 生成
      * 
      * @static
+     * @param {object} data - 已合并默认值的配置数据（会被直接修改）
+     * @returns {object} 同一个数据对象
      */
-    static openDialog() {
-        new QTEDialog().render(true);
+    static generateChallenge(data) {
+        VisualQTE.getMode(data.mode)?.generate?.(data);
+        return data;
     }
-}
 
-// ============================================================================
-// 2. 初始化与钩子函数
-// ============================================================================
+    /**
+     * 对参数中的公式按参与者分别求值
+     * 
+     * 数值参数可以写成 Roll 公式（如 "250 + @abilities.dex.mod * 30"），结果取整且不小于 0。
+     * 模式参数以参与者所代表角色（或其指定角色）的 getRollData() 分别求值，
+     * 共享数据中取所有参与者中的最大值，用于估算超时；
+     * 倒计时、超时等会话参数所有人必须一致，只以发起者的指定角色求值一次。
+     * 多人连打的时长与衰减必须一致，只有每次按键的推进量 mashPower 因人而异
+     * 
+     * @static
+     * @param {object} data - 配置数据，公式参数会被替换为求值结果（模式参数为最大值）
+     * @param {Array<string>} participants - 参与者用户ID列表
+     * @returns {Promise<Object<string, object>|null>} 以用户ID为键的个人参数，模式参数没有公式时为 null
+     */
+    static async evaluateFormulas(data, participants) {
+        const evaluate = async (formula, rollData) => {
+            const roll = await new Roll(Roll.replaceFormulaData(formula, rollData, { missing: "0" })).evaluate();
+            return Math.max(0, Math.round(roll.total));
+        };
 
-/**
- * Socketlib 就绪钩子
- * 
- * 在 Socketlib 系统初始化完成后注册模块和通信函数
- * 同时将 API 暴露到全局 game 对象，方便宏命令调用
- */
-Hooks.once("socketlib.ready", () => {
-    // 注册模块与 Socket 函数
-    qteSocket = socketlib.registerModule(MODULE_ID);
-    qteSocket.register("startQTESession", QTEOverlay.startSession); 
+        // 会话参数：所有人共用，求值一次
+        const defaults = VisualQTE.getDefaults();
+        const modeDefaults = VisualQTE.getMode(data.mode)?.defaults ?? {};
+        const isModeParam = key => !(key in DEFAULT_CONFIG) && typeof modeDefaults[key] === 'number';
+        const senderData = game.user.character?.getRollData() ?? {};
+        for (const [key, value] of Object.entries(data)) {
+            if (typeof defaults[key] !== 'number' || typeof value !== 'string' || isModeParam(key)) continue;
+            data[key] = await evaluate(value, senderData);
+        }
 
-    // 将 API 暴露到全局 game 对象，方便宏调用
-    game.modules.get(MODULE_ID).api = VisualQTE;
+        const formulas = Object.entries(data)
+            .filter(([key, value]) => isModeParam(key) && typeof value === 'string');
+        if (formulas.length === 0) return null;
 
-    console.log(`${MODULE_ID} | 初始化完成，API 已就绪。`);
-});
+        const personal = {};
+        for (const userId of participants) {
+            const character = data.characters?.[userId];
+            const actor = character ? fromUuidSync(character.actorUuid) : game.users.get(userId)?.character;
+            const rollData = actor?.getRollData() ?? {};
 
-/**
- * 场景控制按钮钩子
- * 
- * 在 Token 控制层添加 QTE 触发按钮，方便 GM 快速使用
- * 支持 Foundry VTT v12 和 v13 的不同控制结构
- */
-Hooks.on('getSceneControlButtons', (controls) => {
-    // 权限检查 - 只有 GM 才能看到和使用此按钮
-    if (!game.user.isGM) return;
-    
-    // --- 定义按钮配置 ---
-    const qteTool = {
-        name: 'trigger-qte',              // 工具唯一标识
-        title: 'QTE 事件配置',            // 鼠标悬停提示
-        icon: 'fas fa-stopwatch',         // FontAwesome 图标
-        visible: true,                    // 始终可见
-        button: true,                     // 显示为按钮形式
-        onChange: () => {                 // 点击回调函数
-            if (VisualQTE) VisualQTE.openDialog();
+            personal[userId] = {};
+            for (const [key, formula] of formulas) {
+                personal[userId][key] = await evaluate(formula, rollData);
+            }
         }
-    };
-
-    // --- 步骤 1: 查找 Token 控制层级 ---
-    let tokenLayer = null;
-
-    // V13 模式: controls 是对象，直接通过属性访问
-    if (controls.tokens) {
-        tokenLayer = controls.tokens;
-    } 
-    // V12 模式: controls 是数组，通过查找 name 访问
-    else if (Array.isArray(controls)) {
-        tokenLayer = controls.find(c => c.name === 'token');
-    }
 
-    // --- 步骤 2: 注入按钮到控制层 ---
-    if (tokenLayer) {
-        const tools = tokenLayer.tools;
+        // 共享数据取最大值：无人参与时按没有角色数据求值
+        for (const [key, formula] of formulas) {
+            const values = participants.map(userId => personal[userId][key]);
+            if (values.length === 0) values.push(await evaluate(formula, {}));
+            data[key] = Math.max(...values);
+        }
 
-        // V13 判断: 如果 tools 不是数组 (是对象或 Map)
-        if (tools && !Array.isArray(tools)) {
-            // 如果是 Map 类型 (V13 可能使用 JS Map)
-            if (tools instanceof Map) {
-                if (!tools.has('trigger-qte')) {
-                    tools.set('trigger-qte', qteTool);
-                }
-            } 
-            // 如果是普通 Object 类型
-            else {
-                tokenLayer.tools['trigger-qte'] = qteTool;
-            }
-        } 
-        // V12 判断: 如果 tools 是数组
-        else if (Array.isArray(tools)) {
-            if (!tools.some(t => t.name === 'trigger-qte')) {
-                tools.push(qteTool);
+        // 多人连打由裁判统一计时与衰减，仅按键推进量按人计算
+        const players = data.versus ?? data.team;
+        if (players) {
+            for (const p of players) {
+                p.power = personal[p.userId]?.mashPower ?? data.mashPower;
+                personal[p.userId] = {};
             }
         }
-    } else {
-        console.warn("Visual-QTE | 无法找到 Token 控制层级，按钮添加失败。");
+        return personal;
     }
-});
-
-// ============================================================================
-// 3. 配置界面 (Application V2)
-// ============================================================================
-
-/**
- * QTE 配置对话框类
- * 
- * 基于 Foundry VTT Application V2 系统构建的配置界面
- * 提供序列模式和连打模式的参数配置
- * 
- * @extends {ApplicationV2}
- */
-const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
-class QTEDialog extends HandlebarsApplicationMixin(ApplicationV2) {
-    
     /**
-     * 应用默认配置
+     * 获取出厂默认参数
+     * 
+     * 通用出厂默认值合并各注册模式的 defaults，不含世界设置中的修改
+     * 
      * @static
+     * @returns {object} 出厂默认参数的副本
      */
-    static DEFAULT_OPTIONS = {
-        tag: "form",                         // 根元素标签
-        id: "qte-config-dialog",            // 唯一ID
-        classes: ["qte-config-window"],     // CSS 类名
-        window: {
-            icon: "fas fa-stopwatch",       // 窗口图标
-            title: "QTE 事件配置",          // 窗口标题
-            resizable: false                // 禁止调整大小
-        },
-        form: {
-            handler: QTEDialog.formHandler, // 表单提交处理器
-            closeOnSubmit: true             // 提交后关闭窗口
+    static getFactoryDefaults() {
+        const defaults = foundry.utils.deepClone(DEFAULT_CONFIG);
+        for (const mode of VisualQTE.modes.values()) {
+            for (const [key, value] of Object.entries(mode.defaults ?? {})) {
+                if (!(key in defaults)) defaults[key] = foundry.utils.deepClone(value);
+            }
         }
-    };
+        return defaults;
+    }
 
     /**
-     * 模板部件配置
+     * 获取当前生效的默认参数
+     * 
+     * 出厂默认值叠加世界设置中的「默认参数」，未知的键会被忽略
+     * 
      * @static
+     * @returns {object} 默认参数的副本，可放心修改
      */
-    static PARTS = {
-        form: {
-            template: `modules/${MODULE_ID}/templates/qte-dialog.hbs`  // Handlebars 模板路径
+    static getDefaults() {
+        const defaults = VisualQTE.getFactoryDefaults();
+        const overrides = game.settings.get(MODULE_ID, "defaults") ?? {};
+        for (const [key, value] of Object.entries(overrides)) {
+            if (key in defaults && value !== null && value !== undefined) defaults[key] = value;
         }
-    };
+        return defaults;
+    }
 
     /**
-     * 准备数据上下文
-     * 
-     * 为模板提供渲染所需的数据
-     * 包括玩家列表、默认模式等
+     * 获取玩家的无障碍配置
      * 
-     * @param {object} options - 应用选项
-     * @returns {object} 模板数据上下文
+     * @static
+     * @param {string} [userId] - 用户ID，默认为当前用户
+     * @returns {object} 补全默认值后的配置
      */
-    async _prepareContext(options) {
-        // 获取所有活跃的非GM玩家
-        const players = game.users.filter(u => u.active && !u.isSelf).map(u => ({
-            id: u.id,           // 玩家ID
-            name: u.name,       // 玩家名称
-            color: u.color,     // 玩家颜色
-            active: true        // 活跃状态
-        }));
-
-        return {
-            players,                    // 玩家列表
-            mode: 'sequence'            // 默认选中序列模式
-        };
+    static getProfile(userId = game.user.id) {
+        const saved = game.users.get(userId)?.getFlag(MODULE_ID, "accessibility") ?? {};
+        return { ...DEFAULT_PROFILE, ...saved };
     }
 
     /**
-     * 渲染后 DOM 监听器绑定
+     * 计算本次 QTE 的参与者列表
      * 
-     * 处理模式切换时的界面动态效果
+     * 与 QTEOverlay.startSession() 的过滤规则保持一致：
+     * GM 不参与时，所有 GM 用户都不计入
      * 
-     * @param {object} context - 模板数据上下文
-     * @param {object} options - 渲染选项
+     * @static
+     * @param {object} data - 已合并默认值的配置数据
+     * @returns {Array<string>} 参与者的用户ID列表
      */
-    _onRender(context, options) {
-        // 在 V2 中，this.element 是根 HTML 元素
-        // 由于我们定义了 tag: 'form'，所以 this.element 就是那个 <form>
-        const html = $(this.element);
+    static getParticipants(data) {
+        const users = (data.targetIds && data.targetIds.length > 0)
+            ? data.targetIds.map(id => game.users.get(id)).filter(u => u)
+            : game.users.filter(u => u.active);
 
-        // 获取关键DOM元素
-        const modeSelect = html.find('#qte-mode-select');
-        const seqSettings = html.find('#setting-sequence');
-        const mashSettings = html.find('#setting-mash');
-
-        // 模式切换事件监听
-        modeSelect.on('change', (ev) => {
-            const mode = ev.target.value;
-            
-            // 重新计算窗口位置的回调函数
-            const resize = () => this.setPosition({ height: "auto" });
-
-            if (mode === 'mash') {
-                // 切换到连打模式：隐藏序列设置，显示连打设置
-                seqSettings.hide();
-                mashSettings.slideDown(200, resize);
-            } else {
-                // 切换到序列模式：隐藏连打设置，显示序列设置
-                mashSettings.hide();
-                seqSettings.slideDown(200, resize);
-            }
-        });
+        return users.filter(u => data.gmPlay || !u.isGM).map(u => u.id);
     }
 
     /**
-     * 表单提交处理器
+     * 将 Token/角色解析为参与的玩家
      * 
-     * 处理配置表单的提交，解析数据并触发对应的 QTE 事件
+     * 每个角色由一位在线的玩家拥有者参与（优先其指定角色为该角色的玩家），
+     * 没有在线玩家拥有者时由当前 GM 代为参与。同一玩家拥有多个角色时以第一个为准
      * 
      * @static
-     * @param {Event} event - 提交事件
-     * @param {HTMLFormElement} form - 表单元素
-     * @param {FormDataExtended} formData - 表单数据
+     * @param {object} targets
+     * @param {string|Array<Token|TokenDocument|string>} [targets.tokens] - 'selected' | 'targeted' | Token 或其 UUID 数组
+     * @param {Array<Actor|string>} [targets.actors] - Actor 或其 UUID 数组
+     * @returns {Object<string, {actorUuid: string, name: string, img: string}>} 以用户ID为键的角色表
      */
-    static async formHandler(event, form, formData) {
-        // 将表单数据转换为普通对象
-        const data = formData.object;
+    static resolveCharacters({ tokens, actors } = {}) {
+        let refs = [];
+        if (tokens === 'selected') refs = canvas.tokens?.controlled ?? [];
+        else if (tokens === 'targeted') refs = Array.from(game.user.targets);
+        else if (tokens) refs = Array.from(tokens);
+        refs = refs.concat(actors ?? []);
 
-        // 提取基础配置
-        const gmPlay = data.gmPlay;
-        const mode = data.mode;
-        const title = data.customTitle;
+        const gm = game.user.isGM ? game.user : game.users.activeGM;
+        const characters = {};
+        for (const ref of refs) {
+            // 字符串视为 UUID；Token 与 TokenDocument 均可通过 .actor 取得角色
+            const doc = typeof ref === 'string' ? fromUuidSync(ref) : ref;
+            const actor = doc instanceof Actor ? doc : doc?.actor;
+            if (!actor) continue;
 
-        // 解析目标玩家ID列表
-        // 表单中 targets.玩家ID 格式的字段表示选中状态
-        const targetIds = [];
-        for (let [key, value] of Object.entries(data)) {
-            if (key.startsWith('targets.') && value === true) {
-                targetIds.push(key.split('.')[1]);  // 提取玩家ID
-            }
-        }
-        
-        // 如果GM参与且不在目标列表中，自动添加GM
-        if (targetIds.length > 0 && gmPlay && !targetIds.includes(game.user.id)) {
-            targetIds.push(game.user.id);
-        }
+            const owners = game.users.filter(u => u.active && !u.isGM && actor.testUserPermission(u, "OWNER"));
+            const user = owners.find(u => u.character?.id === actor.id) ?? owners[0] ?? gm;
+            if (!user || characters[user.id]) continue;
 
-        // 根据模式调用对应的触发方法
-        if (mode === 'sequence') {
-            VisualQTE.trigger({ 
-                title, 
-                mode: 'sequence',
-                count: parseInt(data.count), 
-                duration: parseInt(data.difficulty),
-                windowSize: parseInt(data.windowSize),
-                gmPlay, 
-                targetIds
-            });
-        } else {
-            VisualQTE.trigger({
-                title, 
-                mode: 'mash',
-                mashDecay: parseInt(data.mashDecay),
-                mashDuration: parseInt(data.mashDuration),
-                mashPower: parseInt(data.mashPower),
-                gmPlay, 
-                targetIds
-            });
+            characters[user.id] = { actorUuid: actor.uuid, name: actor.name, img: actor.img };
         }
+        return characters;
     }
-}
-
-// ============================================================================
-// 4. 客户端游戏引擎 - QTEOverlay 类
-// ============================================================================
-
-/**
- * 客户端静态引擎类
- * 
- * 负责渲染 UI、动画循环、输入监听及结果判定
- * 处理玩家端的全部交互逻辑
- * 
- * @static
- */
-class QTEOverlay {
-    // ========================= 通用状态变量 =========================
-    
-    /** @static @type {boolean} 当前是否有活跃的 QTE 会话 */
-    static isActive = false;
-    
-    /** @static @type {string} 当前 QTE 模式 ('sequence' 或 'mash') */
-    static mode = null;
-    
-    /** @static @type {string} QTE 事件标题，用于战报显示 */
-    static title = ""; 
-
-    /** @static @type {Function} 绑定的按键处理函数引用 */
-    static boundHandleKey = null;
-
-    // ====================== 序列模式专用变量 =======================
-    
-    /** @static @type {Array} 按键序列数据 */
-    static sequence = [];
-    
-    /** @static @type {number} 当前进行到的序列索引 */
-    static currentIndex = 0;
-    
-    /** @static @type {Array} 结果记录数组 */
-    static results = [];
-    
-    /** @static @type {number} 超时定时器ID */
-    static timeoutId = null;
-    
-    /** @static @type {number} 序列开始时间戳 */
-    static startTime = 0;
-
-    // ======================= 连打模式专用变量 ======================
-    
-    /** @static @type {number} 当前进度值 (0-100) */
-    static mashProgress = 50;
-    
-    /** @static @type {number} 每秒衰减速度 */
-    static mashDecay = 20;
-    
-    /** @static @type {number} 每次按键增加的进度值 */
-    static mashPower = 6;
-    
-    /** @static @type {number} 动画循环ID */
-    static mashLoopId = null;
-    
-    /** @static @type {number} 上一帧时间戳 */
-    static lastFrameTime = 0;
-    
-    /** @static @type {number} 连打结束时间戳 */
-    static mashEndTime = 0;
-
-    // ======================= 核心入口方法 =======================
 
     /**
-     * 客户端接收 Socket 信号的统一入口
-     * 
-     * 处理服务器发送的 QTE 开始指令，初始化对应模式
+     * 获取玩家在本次会话中代表的角色字段
      * 
      * @static
      * @param {object} data - QTE 配置数据
+     * @param {string} userId - 用户ID
+     * @returns {{actorUuid?: string, actorName?: string}} 未以 Token/角色指定时为空对象
      */
-    static startSession(data) {
-        // 权限检查：如果是广播模式且 GM 不参与，则忽略
-        if (game.user.isGM && !data.gmPlay) return;
-        
-        // 防重复触发检查
-        if (QTEOverlay.isActive) return;
-        
-        // 初始化通用状态
-        QTEOverlay.isActive = true;
-        QTEOverlay.mode = data.mode;
-        QTEOverlay.title = data.title || ""; 
-
-        // 模式分发逻辑
-        if (data.mode === 'sequence') {
-            // 序列模式初始化
-            QTEOverlay.sequence = data.sequence;
-            QTEOverlay.currentIndex = 0;
-            QTEOverlay.results = [];
-            QTEOverlay.playNextSequence();
-        } else if (data.mode === 'mash') {
-            // 连打模式初始化
-            QTEOverlay.startMash(data);
-        }
+    static characterFields(data, userId) {
+        const character = data.characters?.[userId];
+        return character ? { actorUuid: character.actorUuid, actorName: character.name } : {};
     }
 
-    // ======================================================================
-    // 区域 A: 连打模式 (Mash Mode) 逻辑
-    // ======================================================================
-
     /**
-     * 启动连打模式
+     * 估算等待全部结果回传的时长
      * 
-     * 初始化连打模式数据，创建UI，绑定事件并启动游戏循环
+     * 在 QTE 本身的最长耗时（由模式定义估算，缺省 30 秒）之上额外留出网络与结算动画的余量
      * 
      * @static
-     * @param {object} data - 连打模式配置数据
+     * @param {object} data - 配置数据
+     * @returns {number} 等待时长(毫秒)
      */
-    static startMash(data) {
-        // 1. 初始化连打数据
-        this.mashProgress = 50;                     // 初始进度50%
-        this.mashDecay = data.mashDecay;            // 衰减速度
-        this.mashPower = data.mashPower;            // 按键力量
-        this.mashEndTime = Date.now() + (data.mashDuration * 1000);  // 计算结束时间
-        
-        // 2. 创建连打模式UI
-        this.createMashDOM(data);
-
-        // 3. 绑定空格键监听
-        this.boundHandleKey = (e) => this.handleMashKey(e);
-        document.addEventListener('keydown', this.boundHandleKey);
-
-        // 4. 启动游戏循环
-        this.lastFrameTime = Date.now();
-        this.gameLoop();
+    static estimateTimeout(data) {
+        const buffer = 10000;
+        const duration = VisualQTE.getMode(data.mode)?.estimateTimeout?.(data) ?? 30000;
+        return duration + buffer;
     }
 
     /**
-     * 创建连打模式DOM结构
+     * 登记一个等待结果回传的会话
      * 
-     * 构建包含进度条、计时器、提示文本的UI界面
+     * 未在超时时间内回传的玩家记为 'timeout'，
+     * 不在线或中途掉线的玩家记为 'disconnected'
      * 
      * @static
      * @param {object} data - 配置数据
+     * @param {Array<string>} participants - 参与者用户ID列表
+     * @returns {Promise<Object<string, QTEResult>>} 以用户ID为键的结果表
      */
-    static createMashDOM(data) {
-        const html = `
-            <div id="qte-overlay">
-                <div class="qte-mash-wrapper">
-                    <!-- 提示文本 -->
-                    <div class="qte-mash-prompt">PRESS SPACE!</div>
+    static awaitResults(data, participants) {
+        return new Promise(resolve => {
+            const session = {
+                data,
+                resolve,
+                pending: new Set(participants),
+                results: {},
+                timer: null,
+                deadline: 0,       // 超时的绝对时间戳
+                remaining: 0,      // 暂停时剩余的等待时长
+                paused: false,
+                timeout: 0,        // 不含开始前等待的超时时长
+                busy: [],          // 待提醒的正忙玩家
+                queued: new Set(), // 不过期地排队、尚未开始的玩家，期间不计超时
+                queueExtended: false
+            };
+            VisualQTE.pendingSessions.set(data.sessionId, session);
+            if (game.user.isGM) QTEMonitor.track(data, participants, data.monitor);
 
-                    <!-- 倒计时显示 -->
-                    <div class="qte-timer">--.--s</div>
-                    
-                    <!-- 进度条区域 -->
-                    <div class="qte-mash-row">
-                        <!-- 左侧玩家图标 -->
-                        <div class="mash-icon player"><i class="fas fa-fist-raised"></i></div>
-                        
-                        <!-- 进度条轨道 -->
-                        <div class="qte-progress-track">
-                            <div class="qte-progress-fill" style="width: 50%;"></div>
-                        </div>
-                        
-                        <!-- 右侧敌人图标 -->
-                        <div class="mash-icon enemy"><i class="fas fa-skull"></i></div>
-                    </div>
-                </div>
-                
-                <!-- 结果显示区域 -->
-                <div id="qte-result-text" class="qte-result"></div>
-            </div>
-        `;
-        
-        // 添加到页面并触发入场动画
-        $('body').append(html);
-        requestAnimationFrame(() => $('#qte-overlay').addClass('active'));
+            // 发送时就已离线的目标不会收到消息，直接记为掉线
+            for (const userId of participants) {
+                if (!game.users.get(userId)?.active) {
+                    VisualQTE.recordMissing(session, userId, 'disconnected');
+                }
+            }
+            if (VisualQTE.settleIfComplete(session)) return;
+
+            // 自动估算时按参与者中最大的时间倍率放宽
+            const timingScale = Math.max(1, ...participants.map(id => VisualQTE.getProfile(id).timingScale));
+            const timeout = data.timeout > 0 ? data.timeout : VisualQTE.estimateTimeout(data) * timingScale;
+            session.timeout = timeout;
+            const lead = Math.max(0, data.startAt - game.time.serverTime);
+            VisualQTE.armTimeout(session, timeout + lead);
+        });
     }
 
     /**
-     * 处理连打模式按键输入
+     * 启动会话的超时计时
      * 
-     * 监听空格键按下，更新进度并触发视觉反馈
+     * 到期后仍未回传的玩家记为未回应；暂停时会清除并在恢复后以剩余时长重新启动
      * 
      * @static
-     * @param {KeyboardEvent} e - 键盘事件对象
+     * @param {object} session - 等待中的会话
+     * @param {number} delay - 等待时长(毫秒)
      */
-    static handleMashKey(e) {
-        // 防止重复触发和系统快捷键干扰
-        if (e.repeat) return; 
-        e.preventDefault(); 
-        e.stopPropagation();
-
-        // 只响应空格键
-        if (e.code === 'Space') {
-            // 1. 增加进度值
-            this.mashProgress += this.mashPower;
-            
-            // 2. 即时胜利判定（避免帧延迟）
-            if (this.mashProgress >= 100) {
-                this.mashProgress = 100;
-                $('.qte-progress-fill').css('width', '100%'); // 视觉补满
-                this.endMash(true, "突破成功!");
-                return;
+    static armTimeout(session, delay) {
+        session.deadline = Date.now() + delay;
+        session.timer = setTimeout(() => {
+            for (const userId of [...session.pending]) {
+                VisualQTE.recordMissing(session, userId, 'timeout');
             }
-
-            // 3. 更新进度条视觉
-            const fill = $('.qte-progress-fill');
-            fill.css('width', `${this.mashProgress}%`);
-            
-            // 4. 高光闪烁反馈
-            fill.removeClass('flash');
-            void fill[0].offsetWidth; // 强制重绘技巧
-            fill.addClass('flash');
-
-            // 5. 轨道抖动效果
-            const track = $('.qte-progress-track');
-            track.removeClass('shake-pulse');
-            void track[0].offsetWidth; // 强制重绘
-            track.addClass('shake-pulse');
-
-            // TODO：可在此处添加按键音效
-        }
+            VisualQTE.settleIfComplete(session);
+        }, delay);
     }
 
     /**
-     * 连打模式游戏循环
+     * 接收客户端回传的结果 (Socket 回调)
      * 
-     * 处理进度衰减、倒计时更新和胜负判定
-     * 使用 requestAnimationFrame 实现平滑动画
+     * 玩家以 Socket 的实际发送者为准，不信任结果中自报的 userId，
+     * 防止客户端代替他人提交结果
      * 
      * @static
+     * @param {QTEResult} result - 客户端生成的结果对象
      */
-    static gameLoop() {
-        // 安全检查：确保仍在活跃状态
-        if (!this.isActive || this.mode !== 'mash') return;
-
-        const now = Date.now();
-        const deltaTime = (now - this.lastFrameTime) / 1000;  // 计算帧间隔（秒）
-        this.lastFrameTime = now;
-
-        // --- 倒计时更新逻辑 ---
-        const remaining = Math.max(0, (this.mashEndTime - now) / 1000);
-        const timerEl = $('.qte-timer');
-        timerEl.text(remaining.toFixed(2) + 's'); // 保留2位小数显示
-        
-        // 少于3秒时添加紧急样式
-        if (remaining <= 3) timerEl.addClass('urgent');
-
-        // 1. 计算自然衰减
-        this.mashProgress -= this.mashDecay * deltaTime;
-
-        // 2. 更新UI进度条
-        $('.qte-progress-fill').css('width', `${Math.max(0, this.mashProgress)}%`);
-
-        // 3. 胜负判定逻辑
-        if (this.mashProgress <= 0) {
-            this.endMash(false, "被压制!");
-            return;
-        }
-        if (this.mashProgress >= 100) {
-            this.endMash(true, "突破成功!");
-            return;
-        }
-        if (now > this.mashEndTime) {
-            this.endMash(false, "时间耗尽!");
-            return;
-        }
-
-        // 4. 继续下一帧循环
-        this.mashLoopId = requestAnimationFrame(() => this.gameLoop());
+    static receiveResult(result) {
+        const userId = this?.socketdata?.userId;
+        if (!userId || !result) return;
+        VisualQTE.recordResult({ ...result, userId });
     }
 
     /**
-     * 结束连打模式
+     * 将一位参与者的结果计入等待中的会话
      * 
-     * 清理资源、显示结果、发送战报
+     * 不在该会话等待列表中的玩家的结果会被丢弃
      * 
      * @static
-     * @param {boolean} success - 是否成功
-     * @param {string} text - 结果描述文本
+     * @param {QTEResult} result - 结果对象
      */
-    static endMash(success, text) {
-        // 1. 停止游戏循环和事件监听
-        cancelAnimationFrame(this.mashLoopId);
-        document.removeEventListener('keydown', this.boundHandleKey);
-
-        // --- 安全拦截器：防止QTE结束后按键干扰游戏 ---
-        const blocker = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-        };
-        document.addEventListener('keydown', blocker, true);
-        
-        // 1.5秒后移除拦截器（与UI消失时间同步）
-        setTimeout(() => {
-            document.removeEventListener('keydown', blocker, true);
-        }, 1500);
-
-        // 2. 显示结果文本
-        const resEl = $('#qte-result-text');
-        const cssClass = success ? 'result-perfect' : 'result-bad';
-        resEl.text(text).addClass(`${cssClass} show`);
-        
-        // 3. 播放对应音效
-        this.playSound(cssClass);
-
-        // 4. 发送聊天战报
-        const color = success ? '#4ade80' : '#f87171';
-        const displayTitle = this.title ? this.title : "连打挑战"; // 使用自定义标题或默认标题
-        ChatMessage.create({
-            content: `<div style="text-align:center; padding:5px; border:1px solid #444; background:#222; color:${color}; font-weight:bold; font-family:'Signika';">
-                ${game.user.name} ${displayTitle}: ${text}
-            </div>`
-        });
+    static recordResult(result) {
+        const session = VisualQTE.pendingSessions.get(result?.sessionId);
+        if (!session || !session.pending.has(result.userId)) return;
 
-        // 5. 延迟移除UI并重置状态
-        setTimeout(() => {
-            $('#qte-overlay').removeClass('active');
-            setTimeout(() => {
-                $('#qte-overlay').remove();
-                this.isActive = false;
-            }, 300);
-        }, 1500);
+        session.pending.delete(result.userId);
+        session.results[result.userId] = result;
+        QTEMonitor.update(result.sessionId, result.userId, { status: result.status, success: result.success });
+        VisualQTE.settleIfComplete(session);
     }
 
-    // ======================================================================
-    // 区域 B: 序列模式 (Sequence Mode) 逻辑
-    // ======================================================================
-
     /**
-     * 播放下一个序列项目
+     * 接收客户端汇报的实时进度 (Socket 回调)
      * 
-     * 序列模式的核心循环方法，逐个显示按键提示
+     * 汇报的玩家以 Socket 的实际发送者为准
      * 
      * @static
+     * @param {string} sessionId - 会话ID
+     * @param {object} update - 进度字段，如 { step, total, rating, progress, remaining }
      */
-    static playNextSequence() {
-        // 检查序列是否已完成
-        if (this.currentIndex >= this.sequence.length) {
-            this.finishSequence();
-            return;
-        }
-        
-        // 获取当前序列数据
-        const data = this.sequence[this.currentIndex];
-        
-        // 清理旧DOM并创建新提示
-        $('#qte-overlay').remove();
-        this.createSequenceDOM(data);
-        
-        // 绑定按键监听和启动超时计时
-        this.boundHandleKey = (e) => this.handleSequenceKey(e, data);
-        document.addEventListener('keydown', this.boundHandleKey);
-        
-        this.startTime = Date.now();
-        this.timeoutId = setTimeout(() => {
-            this.resolveSequenceStep(false, '超时', 'result-bad', data);
-        }, data.duration);
+    static receiveProgress(sessionId, update) {
+        const userId = this?.socketdata?.userId;
+        if (!VisualQTE.pendingSessions.get(sessionId)?.pending.has(userId)) return;
+        QTEMonitor.update(sessionId, userId, { status: 'playing', ...update });
     }
 
     /**
-     * 创建序列模式DOM结构
+     * 接收客户端的排队通知 (Socket 回调)
      * 
-     * 构建包含收缩圆环、目标圆环和按键提示的UI
+     * 目标玩家正在进行其他 QTE 时，本次会话进入其等待队列；
+     * 发起者收到合并后的提醒，并按排队时长顺延等待超时。
+     * 正忙的玩家以 Socket 的实际发送者为准
      * 
      * @static
-     * @param {object} data - 序列项目数据
+     * @param {string} sessionId - 会话ID
+     * @param {string} busyWith - 该玩家正在进行的 QTE 标题
      */
-    static createSequenceDOM(data) {
-        const isSpace = data.keyDisplay === 'SPACE';
-        
-        // 计算目标圆环尺寸（基于命中时间比例）
-        const targetScale = 1 - (data.hitTime / data.duration);
-        const targetSizePx = 300 * targetScale; 
+    static receiveBusy(sessionId, busyWith) {
+        const userId = this?.socketdata?.userId;
+        const session = VisualQTE.pendingSessions.get(sessionId);
+        if (!session?.pending.has(userId)) return;
+        const { data } = session;
 
-        // 随机屏幕位置 (20%~80% 范围内)
-        const minPos = 20; const maxPos = 80;
-        const randTop = Math.floor(Math.random() * (maxPos - minPos) + minPos);
-        const randLeft = Math.floor(Math.random() * (maxPos - minPos) + minPos);
-        const containerStyle = `top: ${randTop}%; left: ${randLeft}%; transform: translate(-50%, -50%); position: absolute;`;
+        QTEMonitor.update(sessionId, userId, { status: 'queued' });
 
-        const html = `
-            <div id="qte-overlay">
-                <div class="qte-container" style="${containerStyle}">
-                    <!-- 收缩圆环动画 -->
-                    <div class="qte-approach-ring" style="animation: shrinkRing ${data.duration}ms linear forwards;"></div>
-                    
-                    <!-- 目标圆环（固定尺寸） -->
-                    <div class="qte-target-ring" style="width: ${targetSizePx}px; height: ${targetSizePx}px;"></div>
-                    
-                    <!-- 按键提示（空格键特殊样式） -->
-                    <div class="qte-key-prompt ${isSpace ? 'space' : ''}">${data.keyDisplay}</div>
-                    
-                    <!-- 结果显示区域 -->
-                    <div id="qte-result-text" class="qte-result"></div>
-                </div>
-            </div>
-        `;
+        // 排队会推迟开始时间，轮到时还要重新倒计时：等待超时按最长排队时长顺延一次
+        if (data.queueTimeout > 0) {
+            if (!session.queueExtended) {
+                session.queueExtended = true;
+                const extension = data.queueTimeout + data.countdown * 1000;
+                if (session.paused) {
+                    session.remaining += extension;
+                } else {
+                    clearTimeout(session.timer);
+                    VisualQTE.armTimeout(session, Math.max(0, session.deadline - Date.now()) + extension);
+                }
+            }
+        } else {
+            // 排队不过期：挂起等待超时，直到该玩家真正开始
+            session.queued.add(userId);
+            clearTimeout(session.timer);
+        }
 
-        $('body').append(html);
-        requestAnimationFrame(() => { $('#qte-overlay').addClass('active'); });
+        // 同一会话的多条排队通知合并为一次提醒
+        const name = game.users.get(userId)?.name ?? userId;
+        session.busy.push(`${name}（${busyWith}）`);
+        if (session.busy.length > 1) return;
+        setTimeout(() => {
+            ui.notifications.warn(`QTE [${data.title || data.mode}]: ${session.busy.join("、")} 正忙，已加入等待队列。`);
+            session.busy = [];
+        }, 300);
     }
 
     /**
-     * 处理序列模式按键输入
+     * 接收客户端的开始通知 (Socket 回调)
      * 
-     * 监听特定按键，计算时机精度并给出评价
+     * 排队的会话轮到玩家时发送；开始的玩家以 Socket 的实际发送者为准
      * 
      * @static
-     * @param {KeyboardEvent} event - 键盘事件
-     * @param {object} data - 序列项目数据
+     * @param {string} sessionId - 会话ID
      */
-    static handleSequenceKey(event, data) {
-        // 防止重复触发和系统快捷键
-        if (event.repeat || event.ctrlKey || event.altKey || event.metaKey) return;
-        event.preventDefault(); 
-        event.stopPropagation(); 
+    static receiveStarted(sessionId) {
+        const session = VisualQTE.pendingSessions.get(sessionId);
+        if (session) VisualQTE.releaseQueued(session, this?.socketdata?.userId);
+    }
 
-        const pressedKey = event.code;
+    /**
+     * 将玩家移出不过期的排队列表
+     * 
+     * 所有排队的玩家都已开始（或掉线）后，从现在起重新计算完整的等待超时，
+     * 包含玩家本地的开始倒计时
+     * 
+     * @static
+     * @param {object} session - 等待中的会话
+     * @param {string} userId - 用户ID
+     */
+    static releaseQueued(session, userId) {
+        if (!session.queued.delete(userId) || session.queued.size > 0) return;
 
-        // 检查按键是否正确
-        if (pressedKey === data.targetKey) {
-            const elapsed = Date.now() - QTEOverlay.startTime;
-            const diff = Math.abs(elapsed - data.hitTime); // 计算时间差
-            
-            // 判定窗口计算
-            const halfWindow = data.windowSize / 2;
-            const perfectWindow = halfWindow * 0.4; // 完美窗口为总窗口的40%
-
-            // 三级精度判定
-            if (diff <= perfectWindow) {
-                QTEOverlay.resolveSequenceStep(true, "完美!!", "result-perfect", data, diff);
-            } else if (diff <= halfWindow) {
-                QTEOverlay.resolveSequenceStep(true, "精彩", "result-good", data, diff);
-            } else {
-                QTEOverlay.resolveSequenceStep(false, "太早/太晚", "result-bad", data, diff);
-            }
+        const delay = session.timeout + session.data.countdown * 1000;
+        if (session.paused) {
+            session.remaining = delay;
         } else {
-            // 按键错误处理
-            QTEOverlay.resolveSequenceStep(false, "按键错误", "result-bad", data);
+            clearTimeout(session.timer);
+            VisualQTE.armTimeout(session, delay);
         }
     }
 
     /**
-     * 解析序列步骤结果
+     * 玩家掉线时，将其在所有进行中会话里的结果记为掉线
      * 
-     * 记录结果、显示反馈、推进到下一步
+     * @static
+     * @param {string} userId - 掉线的用户ID
+     */
+    static handleDisconnect(userId) {
+        for (const session of VisualQTE.pendingSessions.values()) {
+            if (!session.pending.has(userId)) continue;
+            VisualQTE.recordMissing(session, userId, 'disconnected');
+            if (!VisualQTE.settleIfComplete(session)) VisualQTE.releaseQueued(session, userId);
+        }
+    }
+
+    /**
+     * 为没有回传结果的玩家生成占位结果
      * 
      * @static
-     * @param {boolean} success - 是否成功
-     * @param {string} text - 评价文本
-     * @param {string} cssClass - CSS样式类
-     * @param {object} data - 序列数据
-     * @param {number} [diff=0] - 时间差（毫秒）
+     * @param {object} session - 等待中的会话
+     * @param {string} userId - 用户ID
+     * @param {string} status - 'timeout' | 'disconnected' | 'aborted'
      */
-    static resolveSequenceStep(success, text, cssClass, data, diff = 0) {
-        // 清理事件和定时器
-        document.removeEventListener('keydown', QTEOverlay.boundHandleKey);
-        clearTimeout(QTEOverlay.timeoutId);
-        $('.qte-approach-ring').css('animation-play-state', 'paused'); // 暂停动画
+    static recordMissing(session, userId, status) {
+        const { data } = session;
+        session.pending.delete(userId);
+        session.results[userId] = {
+            sessionId: data.sessionId,
+            userId,
+            userName: game.users.get(userId)?.name ?? userId,
+            ...VisualQTE.characterFields(data, userId),
+            mode: data.mode,
+            title: data.title,
+            status,
+            success: false
+        };
+        QTEMonitor.update(data.sessionId, userId, { status });
+    }
 
-        // 记录结果
-        QTEOverlay.results.push({
-            key: data.keyDisplay,    // 按键显示文本
-            success: success,        // 成功状态
-            ratingText: text,        // 评价文本
-            ratingClass: cssClass,   // 评价样式类
-            diff: diff               // 时间差
-        });
+    /**
+     * 所有参与者都已有结果时结束等待
+     * 
+     * @static
+     * @param {object} session - 等待中的会话
+     * @returns {boolean} 是否已结束
+     */
+    static settleIfComplete(session) {
+        if (session.pending.size > 0) return false;
 
-        // 显示结果反馈
-        const resEl = $('#qte-result-text');
-        resEl.text(text).addClass(`${cssClass} show`);
-        QTEOverlay.playSound(cssClass);
+        clearTimeout(session.timer);
+        VisualQTE.pendingSessions.delete(session.data.sessionId);
+        Hooks.callAll(HOOKS.SESSION_END, session.data, session.results);
+        session.resolve(session.results);
+        return true;
+    }
 
-        // 延迟推进到下一步
-        setTimeout(() => {
-            $('#qte-overlay').removeClass('active');
-            setTimeout(() => {
-                $('#qte-overlay').remove();
-                QTEOverlay.currentIndex++;
-                QTEOverlay.playNextSequence();
-            }, 200);
-        }, 800);
+    // ======================= 多人连打裁判 =======================
+
+    /**
+     * 进行中的多人连打比赛 (对决/合作)
+     * key 为会话ID，value 为比赛状态
+     * @static @type {Map<string, object>}
+     */
+    static mashMatches = new Map();
+
+    /**
+     * 开始裁判一场多人连打
+     * 
+     * 所有玩家的按键都发送到裁判（发起者客户端）累加，
+     * 裁判定时向参与者广播权威进度并负责胜负判定
+     * 
+     * @static
+     * @param {object} data - 配置数据（含 versus 或 team 玩家信息）
+     */
+    static startMashMatch(data) {
+        const players = data.versus ?? data.team;
+
+        // 合作连打的衰减可随人数放大，保持人均难度不变
+        let decay = 0;
+        if (data.team) decay = data.mashDecay * (data.mashScaleDecay ? players.length : 1);
+
+        // 统一开始时间换算为本地时间戳
+        const startTime = Date.now() + Math.max(0, data.startAt - game.time.serverTime);
+
+        const match = {
+            data,
+            players,
+            decay,
+            progress: 50,
+            presses: Object.fromEntries(players.map(p => [p.userId, 0])),
+            startTime,
+            endTime: startTime + data.mashDuration * 1000,
+            lastTick: startTime,
+            pausedAt: 0,     // 暂停开始的时间戳，0 表示未暂停
+            dirty: false,
+            ended: false
+        };
+        match.timer = setInterval(() => VisualQTE.tickMashMatch(match), VERSUS_TICK);
+        VisualQTE.mashMatches.set(data.sessionId, match);
     }
 
     /**
-     * 完成整个序列模式
+     * 接收多人连打玩家的一次按键 (Socket 回调)
      * 
-     * 统计结果、生成战报、发送到聊天
+     * 按键的玩家以 Socket 的实际发送者为准，防止替对手计数
      * 
      * @static
+     * @param {string} sessionId - 会话ID
      */
-    static finishSequence() {
-        QTEOverlay.isActive = false;
-        
-        // 统计各类评价数量
-        let perfects = 0; let goods = 0; let fails = 0;
-        let rows = '';
-        
-        // 构建结果表格行
-        QTEOverlay.results.forEach(r => {
-            if (r.ratingClass === 'result-perfect') perfects++;
-            else if (r.ratingClass === 'result-good') goods++;
-            else fails++;
-
-            // 根据成功状态选择颜色
-            const color = r.success ? (r.ratingClass === 'result-perfect' ? '#fbbf24' : '#4ade80') : '#f87171';
-            const diffText = r.success ? `${Math.round(r.diff)}ms` : '-'; // 成功时显示时间差
-            
-            rows += `
-                <tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">
-                    <td style="padding: 4px; font-weight:bold;">[${r.key}]</td>
-                    <td style="padding: 4px; color:${color};">${r.ratingText}</td>
-                    <td style="padding: 4px; text-align:right; color:#888;">${diffText}</td>
-                </tr>
-            `;
-        });
-
-        // 计算总体评价
-        let baseTitle = this.title ? this.title : "挑战"; 
-        let totalScoreTitle = `${baseTitle} 失败`;
-        let totalScoreColor = "#f87171";
-        const totalCount = QTEOverlay.results.length;
-        const failRatio = fails / totalCount;
-        
-        // 多级评价逻辑
-        if (failRatio <= 0.3) { 
-            if (fails === 0) {
-                if (perfects === totalCount) {
-                    totalScoreTitle = `${baseTitle} 完美达成!!`;
-                    totalScoreColor = "#ffd700"; // 金色
-                } else {
-                    totalScoreTitle = `${baseTitle} 全部成功!`;
-                    totalScoreColor = "#4ade80"; // 绿色
-                }
-            } else {
-                totalScoreTitle = `${baseTitle} 成功`;
-                totalScoreColor = "#fbbf24"; // 黄色
+    static receiveMashPress(sessionId) {
+        const userId = this?.socketdata?.userId;
+        const match = VisualQTE.mashMatches.get(sessionId);
+        const player = match?.players.find(p => p.userId === userId);
+        if (!player || match.ended || match.pausedAt || Date.now() < match.startTime) return;
+
+        // 对决：左方向 100 推进，右方向 0 推进；合作：所有人都向 100 推进
+        const power = player.power ?? match.data.mashPower;
+        match.progress += player.side === 'right' ? -power : power;
+        match.progress = Math.min(100, Math.max(0, match.progress));
+        match.presses[userId]++;
+        match.dirty = true;
+
+        // 即时胜负判定（避免等待下一次广播）
+        if (match.progress >= 100 || match.progress <= 0) VisualQTE.tickMashMatch(match);
+    }
+
+    /**
+     * 裁判定时处理
+     * 
+     * 施加合作连打的衰减，广播最新进度，并判定胜负或时间耗尽
+     * 
+     * @static
+     * @param {object} match - 比赛状态
+     */
+    static tickMashMatch(match) {
+        if (match.ended || match.pausedAt) return;
+
+        // 倒计时期间不衰减
+        const now = Date.now();
+        if (now < match.startTime) return;
+
+        const deltaTime = (now - match.lastTick) / 1000;
+        match.lastTick = now;
+
+        if (match.decay) {
+            match.progress = Math.max(0, match.progress - match.decay * deltaTime);
+            match.dirty = true;
+        }
+
+        // 胜负判定
+        const isVersus = !!match.data.versus;
+        if (match.progress >= 100) {
+            VisualQTE.endMashMatch(match, isVersus ? 'knockout' : 'breakthrough');
+            return;
+        }
+        if (match.progress <= 0) {
+            VisualQTE.endMashMatch(match, isVersus ? 'knockout' : 'overpowered');
+            return;
+        }
+        if (now >= match.endTime) {
+            VisualQTE.endMashMatch(match, isVersus && match.progress === 50 ? 'draw' : 'timeout');
+            return;
+        }
+
+        if (match.dirty) {
+            match.dirty = false;
+            const ids = match.players.map(p => p.userId);
+            qteSocket.executeForUsers("mashState", ids, match.data.sessionId, match.progress, match.presses);
+
+            // 裁判就在发起者客户端，直接刷新监控面板
+            const remaining = Math.max(0, (match.endTime - now) / 1000);
+            for (const p of match.players) {
+                QTEMonitor.update(match.data.sessionId, p.userId, {
+                    status: 'playing',
+                    progress: Math.round(p.side === 'right' ? 100 - match.progress : match.progress),
+                    remaining
+                });
             }
         }
+    }
 
-        // 构建聊天战报HTML
-        const chatContent = `
-            <div style="font-family: 'Signika', sans-serif; background: #222; color: #eee; padding: 10px; border: 2px solid #444; border-radius: 8px;">
-                <!-- 标题区域 -->
-                <div style="text-align:center; border-bottom: 2px solid ${totalScoreColor}; margin-bottom: 10px; padding-bottom: 5px;">
-                    <h2 style="margin:0; color:${totalScoreColor}; text-shadow: 0 0 10px ${totalScoreColor};">${totalScoreTitle}</h2>
-                    <span style="font-size:12px; color:#aaa;">${game.user.name} 的成绩单</span>
-                </div>
-                
-                <!-- 详细结果表格 -->
-                <table style="width:100%; font-size:14px; border-collapse: collapse;">
-                    ${rows}
-                </table>
-                
-                <!-- 统计摘要 -->
-                <div style="margin-top: 10px; font-size: 12px; text-align: center; color: #888;">
-                    完美: ${perfects} | 精彩: ${goods} | 失误: ${fails}
-                </div>
-            </div>
-        `;
+    /**
+     * 结束多人连打
+     * 
+     * 通知参与者结果，发送一张共享战报，并把每个人的结果计入等待中的会话
+     * 
+     * @static
+     * @param {object} match - 比赛状态
+     * @param {string} reason - 结束原因
+     *        对决: 'knockout' | 'timeout' | 'draw'；合作: 'breakthrough' | 'overpowered' | 'timeout'
+     */
+    static endMashMatch(match, reason) {
+        match.ended = true;
+        clearInterval(match.timer);
+        VisualQTE.mashMatches.delete(match.data.sessionId);
+
+        const { data, players } = match;
+        const progress = Math.round(match.progress);
+        const totalPresses = Object.values(match.presses).reduce((sum, n) => sum + n, 0);
+
+        // 1. 判定胜负：对决看进度偏向，合作看是否突破
+        let winner = null;
+        let teamSuccess = false;
+        if (data.versus) {
+            const winnerSide = reason === 'draw' ? null : (match.progress > 50 ? 'left' : 'right');
+            winner = players.find(p => p.side === winnerSide) ?? null;
+        } else {
+            teamSuccess = reason === 'breakthrough';
+        }
+        const outcome = { progress, endReason: reason, winnerId: winner?.userId ?? null, success: teamSuccess };
+
+        // 2. 通知参与者客户端显示结果
+        qteSocket.executeForUsers("mashEnd", players.map(p => p.userId), data.sessionId, outcome);
+
+        // 3. 共享战报
+        const summary = {
+            sessionId: data.sessionId,
+            mode: 'mash',
+            variant: data.mashVariant,
+            title: data.title,
+            status: 'completed',
+            success: data.versus ? !!winner : teamSuccess,
+            progress,
+            endReason: reason,
+            winnerId: winner?.userId ?? null,
+            winnerName: winner?.name ?? null,
+            players: players.map(p => ({
+                ...p,
+                presses: match.presses[p.userId],
+                share: totalPresses ? Math.round(match.presses[p.userId] / totalPresses * 100) : 0
+            }))
+        };
+        // 战报失败不影响下方结果的登记
+        VisualQTE.renderChatCard(summary)
+            .then(content => ChatMessage.create({ user: game.user.id, content, flags: { [MODULE_ID]: summary } }))
+            .catch(err => console.warn(`${MODULE_ID} | 发送战报失败:`, err));
 
-        // 发送战报到聊天
-        ChatMessage.create({ user: game.user.id, content: chatContent });
+        // 4. 每位参与者各自的结构化结果
+        for (const p of summary.players) {
+            VisualQTE.recordResult({
+                sessionId: data.sessionId,
+                userId: p.userId,
+                userName: game.users.get(p.userId)?.name ?? p.name,
+                ...VisualQTE.characterFields(data, p.userId),
+                mode: 'mash',
+                variant: data.mashVariant,
+                title: data.title,
+                status: 'completed',
+                success: data.versus ? winner?.userId === p.userId : teamSuccess,
+                progress,
+                endReason: reason,
+                winnerId: summary.winnerId,
+                side: p.side,
+                presses: p.presses,
+                share: p.share
+            });
+        }
     }
 
+    // ======================= 模式注册表 =======================
+
     /**
-     * 播放音效辅助函数
+     * 已注册的模式定义
+     * key 为模式ID，value 为补全了 id 与 label 的 QTEModeDefinition
+     * @static @type {Map<string, QTEModeDefinition>}
+     */
+    static modes = new Map();
+
+    /**
+     * 注册一个 QTE 模式
      * 
-     * 根据评价等级播放对应的音效反馈
-     * 使用 Foundry VTT 的音频系统
+     * 内置模式在 init 时注册；其他模块应在 visualQTE.registerModes 钩子中调用。
+     * 同一ID重复注册时后者覆盖前者，可用于替换内置模式。
+     * 模式需在所有客户端上注册，否则未注册的参与者无法开始游戏
      * 
      * @static
-     * @param {string} cssClass - 评价对应的CSS类名
+     * @param {string} id - 模式ID，即 trigger() 的 config.mode
+     * @param {QTEModeDefinition} definition - 模式定义
+     * @returns {boolean} 是否注册成功
+     * 
+     * @example
+     * Hooks.once("visualQTE.registerModes", (api) => {
+     *     class TapRuntime extends api.ModeRuntime {
+     *         start() {
+     *             this.createOverlay(`<div class="qte-mash-prompt">按 ${this.data.tapKey}!</div>`);
+     *             this.schedule(() => this.finish({ success: false, endReason: 'timeout' }, { text: "太慢了" }), 3000);
+     *         }
+     *     }
+     *     api.registerMode("tap", { label: "快速反应", defaults: { tapKey: "F" }, runtime: TapRuntime });
+     * });
      */
-    static playSound(cssClass) {
-        let src = SOUNDS.BAD; // 默认失误音效
-        if (cssClass === 'result-perfect') src = SOUNDS.PERFECT;
-        else if (cssClass === 'result-good') src = SOUNDS.GOOD;
-        
-        // 使用 Foundry 音频系统播放
-        foundry.audio.AudioHelper.play({src: src, volume: 0.8, loop: false}, false);
+    static registerMode(id, definition) {
+        if (typeof id !== 'string' || !id) {
+            console.error(`${MODULE_ID} | 注册模式失败：模式ID必须是非空字符串。`);
+            return false;
+        }
+        if (!(definition?.runtime?.prototype instanceof QTEModeRuntime)) {
+            console.error(`${MODULE_ID} | 注册模式「${id}」失败：runtime 必须是继承 QTEModeRuntime 的类。`);
+            return false;
+        }
+        if (VisualQTE.modes.has(id)) console.warn(`${MODULE_ID} | 模式「${id}」已存在，将被覆盖。`);
+
+        VisualQTE.modes.set(id, { ...definition, id, label: definition.label ?? id });
+        return true;
+    }
+
+    /**
+     * 获取已注册的模式定义
+     * 
+     * @static
+     * @param {string} id - 模式ID
+     * @returns {QTEModeDefinition|null} 模式定义，未注册时为 null
+     */
+    static getMode(id) {
+        return VisualQTE.modes.get(id) ?? null;
+    }
+
+    /**
+     * 获取全部已注册模式的显示名称
+     * 
+     * @static
+     * @returns {Object<string, string>} { 模式ID: 显示名称 }
+     */
+    static getModeLabels() {
+        return Object.fromEntries(Array.from(VisualQTE.modes.values(), mode => [mode.id, mode.label]));
+    }
+
+    /**
+     * 模式运行时基类，供注册自定义模式时继承
+     * 
+     * @static
+     * @type {typeof QTEModeRuntime}
+     */
+    static get ModeRuntime() {
+        return QTEModeRuntime;
+    }
+
+    // ======================= 预设 =======================
+
+    /**
+     * 获取全部预设
+     * 
+     * @static
+     * @returns {Object<string, object>} 以预设名称为键的配置表
+     */
+    static getPresets() {
+        return foundry.utils.deepClone(game.settings.get(MODULE_ID, "presets") ?? {});
+    }
+
+    /**
+     * 保存（或覆盖）一个预设
+     * 
+     * @static
+     * @param {string} name - 预设名称
+     * @param {object} config - trigger() 的配置，不含目标玩家
+     */
+    static async savePreset(name, config) {
+        name = name?.trim();
+        if (!name) {
+            ui.notifications.error("Visual-QTE | 预设名称不能为空。");
+            return;
+        }
+
+        const { targetIds, tokens, actors, preset, ...params } = config;
+        const presets = VisualQTE.getPresets();
+        presets[name] = params;
+        await game.settings.set(MODULE_ID, "presets", presets);
+        ui.notifications.info(`Visual-QTE | 已保存预设「${name}」。`);
+    }
+
+    /**
+     * 删除一个预设
+     * 
+     * @static
+     * @param {string} name - 预设名称
+     */
+    static async deletePreset(name) {
+        const presets = VisualQTE.getPresets();
+        if (!(name in presets)) return;
+
+        delete presets[name];
+        await game.settings.set(MODULE_ID, "presets", presets);
+        ui.notifications.info(`Visual-QTE | 已删除预设「${name}」。`);
+    }
+
+    /**
+     * 导出全部预设为 JSON 文件
+     * 
+     * @static
+     */
+    static exportPresets() {
+        const json = JSON.stringify(VisualQTE.getPresets(), null, 2);
+        foundry.utils.saveDataToFile(json, "application/json", `${MODULE_ID}-presets.json`);
+    }
+
+    /**
+     * 从 JSON 导入预设
+     * 
+     * 同名预设会被覆盖，格式不正确的条目会被跳过
+     * 
+     * @static
+     * @param {string} json - 导出的 JSON 文本
+     * @returns {Promise<number>} 成功导入的预设数量
+     */
+    static async importPresets(json) {
+        let imported;
+        try {
+            imported = JSON.parse(json);
+        } catch (err) {
+            ui.notifications.error("Visual-QTE | 预设文件不是有效的 JSON。");
+            return 0;
+        }
+        if (foundry.utils.getType(imported) !== 'Object') {
+            ui.notifications.error("Visual-QTE | 预设文件格式不正确。");
+            return 0;
+        }
+
+        const presets = VisualQTE.getPresets();
+        let count = 0;
+        for (const [name, config] of Object.entries(imported)) {
+            if (foundry.utils.getType(config) !== 'Object' || typeof config.mode !== 'string') continue;
+            const { targetIds, tokens, actors, preset, ...params } = config;
+            presets[name] = params;
+            count++;
+        }
+
+        await game.settings.set(MODULE_ID, "presets", presets);
+        ui.notifications.info(`Visual-QTE | 已导入 ${count} 个预设。`);
+        return count;
+    }
+
+    // ======================= GM 控制 =======================
+
+    /**
+     * 查找要控制的会话
+     * 
+     * @static
+     * @param {string} [sessionId] - 会话ID，省略时为本客户端发起的全部进行中会话
+     * @returns {Array<object>} 等待中的会话列表
+     */
+    static getControlledSessions(sessionId) {
+        if (!sessionId) return [...VisualQTE.pendingSessions.values()];
+        const session = VisualQTE.pendingSessions.get(sessionId);
+        return session ? [session] : [];
+    }
+
+    /**
+     * 暂停进行中的 QTE
+     * 
+     * 所有参与者的计时器、动画与连打衰减都会冻结，恢复后从暂停处继续
+     * 
+     * @static
+     * @param {string} [sessionId] - 会话ID，省略时暂停本客户端发起的全部会话
+     */
+    static pause(sessionId) {
+        if (!game.user.isGM) {
+            ui.notifications.error("Visual-QTE | 只有 GM 可以暂停 QTE。");
+            return;
+        }
+
+        for (const session of VisualQTE.getControlledSessions(sessionId)) {
+            if (session.paused) continue;
+            const id = session.data.sessionId;
+
+            // 冻结等待超时，恢复时只计算剩余时长
+            session.paused = true;
+            clearTimeout(session.timer);
+            session.remaining = Math.max(0, session.deadline - Date.now());
+
+            const match = VisualQTE.mashMatches.get(id);
+            if (match) match.pausedAt = Date.now();
+
+            qteSocket.executeForUsers("controlQTESession", [...session.pending], id, 'pause');
+            QTEMonitor.setPaused(id, true);
+        }
+    }
+
+    /**
+     * 恢复已暂停的 QTE
+     * 
+     * @static
+     * @param {string} [sessionId] - 会话ID，省略时恢复本客户端发起的全部会话
+     */
+    static resume(sessionId) {
+        if (!game.user.isGM) {
+            ui.notifications.error("Visual-QTE | 只有 GM 可以恢复 QTE。");
+            return;
+        }
+
+        for (const session of VisualQTE.getControlledSessions(sessionId)) {
+            if (!session.paused) continue;
+            const id = session.data.sessionId;
+
+            // 仍有玩家不过期地排队时保持挂起，等其开始后再计时
+            session.paused = false;
+            if (session.queued.size === 0) VisualQTE.armTimeout(session, session.remaining);
+
+            // 裁判顺延结束时间，并从现在起重新计算衰减
+            const match = VisualQTE.mashMatches.get(id);
+            if (match?.pausedAt) {
+                const paused = Date.now() - match.pausedAt;
+                match.startTime += paused;
+                match.endTime += paused;
+                match.lastTick = Math.max(Date.now(), match.startTime);
+                match.pausedAt = 0;
+            }
+
+            qteSocket.executeForUsers("controlQTESession", [...session.pending], id, 'resume');
+            QTEMonitor.setPaused(id, false);
+        }
     }
-}
\ No newline at end of file
+
+    /**
+     * 中止进行中的 QTE
+     * 
+     * 参与者屏幕上的 QTE 立即关闭，不发送战报；
+     * 尚未回传结果的玩家记为 'aborted'，已完成的结果保持不变
+     * 
+     * @static
+     * @param {string} [sessionId] - 会话ID，省略时中止本客户端发起的全部会话
+     */
+    static abort(sessionId) {
+        if (!game.user.isGM) {
+            ui.notifications.error("Visual-QTE | 只有 GM 可以中止 QTE。");
+            return;
+        }
+
+        for (const session of VisualQTE.getControlledSessions(sessionId)) {
+            const { data } = session;
+
+            // 多人连打的裁判直接停止，不再判定胜负
+            const match = VisualQTE.mashMatches.get(data.sessionId);
+            if (match) {
+                match.ended = true;
+                clearInterval(match.timer);
+                VisualQTE.mashMatches.delete(data.sessionId);
+            }
+
+            qteSocket.executeForUsers("controlQTESession", [...session.pending], data.sessionId, 'abort');
+            for (const userId of [...session.pending]) {
+                VisualQTE.recordMissing(session, userId, 'aborted');
+            }
+            VisualQTE.settleIfComplete(session);
+            QTEMonitor.setPaused(data.sessionId, false);
+            ui.notifications.info(`QTE [${data.title || data.mode}] 已中止。`);
+        }
+    }
+
+    /**
+     * 打开 QTE 实时监控面板
+     * 
+     * @static
+     */
+    static openMonitor() {
+        QTEMonitor.instance ??= new QTEMonitor();
+        QTEMonitor.instance.render(true);
+    }
+
+    /**
+     * 打开 QTE 配置对话框的快捷方法
+     * 
+     * 提供给 GM 用户快速访问配置界面的入口
+     * 
+     * @static
+     */
+    static openDialog() {
+        new QTEDialog().render(true);
+    }
+
+    /**
+     * 渲染 QTE 结果战报卡片
+     * 
+     * 可用于根据消息 flags 中保存的结果重新渲染战报
+     * 
+     * @static
+     * @param {QTEResult} result - 结果对象
+     * @returns {Promise<string>} 战报 HTML
+     * 
+     * @example
+     * // 根据已有战报消息中保存的结果重新渲染
+     * const html = await VisualQTE.renderChatCard(message.flags["visual-qte"]);
+     */
+    static async renderChatCard(result) {
+        const mode = VisualQTE.getMode(result.mode);
+        const report = mode?.report ?? {};
+        const defaultTitle = (typeof report.title === 'function' ? report.title(result) : report.title) ?? "挑战";
+        const baseTitle = result.title || defaultTitle;
+        let headline = baseTitle;
+        let grade = result.success ? 'clear' : 'fail';
+        let subtitle = result.actorName ? `${result.actorName} (${result.userName}) 的成绩单` : `${result.userName} 的成绩单`;
+
+        if (result.grade) {
+            // 按步骤评分的模式 (序列/蓄力/点击)
+            grade = result.grade;
+            headline = `${baseTitle} ${GRADE_TEXT[grade]}`;
+        } else if (report.summarize) {
+            // 模式自定义的标题、副标题与配色
+            ({ headline = headline, grade = grade, subtitle = subtitle } = report.summarize(result, baseTitle) ?? {});
+        }
+
+        // 模式自定义的战报详情
+        const details = report.template
+            ? await foundry.applications.handlebars.renderTemplate(report.template, result)
+            : "";
+
+        // 无障碍配置说明
+        let accessibilityNote = "";
+        if (result.accessibility) {
+            const { timingScale, reduceEffects, colorBlind, textLabels } = result.accessibility;
+            const parts = [];
+            if (timingScale !== 1) parts.push(`时间 ×${timingScale}`);
+            if (reduceEffects) parts.push("减少动效");
+            if (colorBlind) parts.push("色盲配色");
+            if (textLabels) parts.push("文字标注");
+            accessibilityNote = parts.join("、");
+        }
+
+        return foundry.applications.handlebars.renderTemplate(TEMPLATES.CHAT_CARD, {
+            ...result,
+            headline,
+            subtitle,
+            grade,
+            accessibilityNote,
+            details
+        });
+    }
+
+    /**
+     * 发送抉择汇总 (仅 GM 可见)
+     * 
+     * 按选项列出每位参与者的选择，未回应与掉线的玩家单独列出
+     * 
+     * @static
+     * @param {object} data - 抉择模式的配置数据
+     * @param {Object<string, QTEResult>} results - 以用户ID为键的结果表
+     */
+    static async postChoiceSummary(data, results) {
+        const all = Object.values(results);
+        const options = data.choices.map((text, index) => ({ text, index, users: [] }));
+        const silence = { text: data.choiceSilenceText, index: CHOICE_SILENCE, users: [] };
+        const missing = [];
+
+        for (const r of all) {
+            const name = r.actorName ?? r.userName;
+            if (r.status !== 'completed') missing.push(name);
+            else if (r.choice === CHOICE_SILENCE) silence.users.push(name);
+            else options[r.choice]?.users.push(name);
+        }
+
+        const content = await foundry.applications.handlebars.renderTemplate(TEMPLATES.CHOICE_SUMMARY, {
+            title: data.title || "抉择",
+            options: silence.users.length ? [...options, silence] : options,
+            missing,
+            total: all.length
+        });
+
+        ChatMessage.create({
+            user: game.user.id,
+            content,
+            whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id),
+            flags: { [MODULE_ID]: { sessionId: data.sessionId, mode: 'choice', summary: true, results } }
+        });
+    }
+
+    // ======================= 多阶段剧本 =======================
+
+    /**
+     * 运行多阶段剧本
+     * 
+     * 依次触发各阶段的 QTE，根据每个阶段的结果决定下一阶段或结局，
+     * 全部结束后发送一张覆盖整条链路的剧本战报
+     * 
+     * @static
+     * @param {object|string} scenario - 剧本定义，或已保存剧本的名称
+     * @param {string} [scenario.title] - 剧本标题，阶段未设置标题时沿用
+     * @param {Array<object>} scenario.stages - 阶段列表；每个阶段是一份 trigger() 配置（可使用 preset），另可设置:
+     *        id - 阶段标识，默认为序号 "1"、"2"…；
+     *        onPerfect / onSuccess / onFail - 对应结果的去向: 阶段 id | 'next'(下一阶段) | 'win'(胜利) | 'lose'(失败)，
+     *        默认成功进入下一阶段（最后一个阶段为胜利）、失败为 'lose'，完美沿用成功
+     * @param {string} [scenario.start] - 起始阶段 id，默认为第一个阶段
+     * @param {string} [scenario.pass='all'] - 阶段成功的条件: 'all'(全员成功) | 'any'(任一成功) | 'majority'(过半成功)
+     *        其余字段（targetIds、tokens、actors、gmPlay 等）作为所有阶段共用的 trigger() 配置
+     * @returns {Promise<{ending: string, stages: Array<object>}|null>} 结局 ('win' | 'lose' | 'aborted' | 'error') 与各阶段记录
+     * 
+     * @example
+     * // 先连打挣脱，再用按键序列闪避
+     * const { ending } = await VisualQTE.runScenario({
+     *     title: "巨蟒缠身",
+     *     tokens: 'selected',
+     *     stages: [
+     *         { id: "break", mode: 'mash', onFail: "lose" },
+     *         { id: "dodge", mode: 'sequence', count: 4 }
+     *     ]
+     * });
+     */
+    static async runScenario(scenario) {
+        if (typeof scenario === 'string') {
+            const saved = VisualQTE.getScenarios()[scenario];
+            if (!saved) {
+                ui.notifications.error(`Visual-QTE | 找不到名为「${scenario}」的剧本。`);
+                return null;
+            }
+            scenario = saved;
+        }
+
+        const { title = "", stages: defs = [], start, pass = 'all', tokens, actors, ...shared } = scenario;
+        if (defs.length === 0) {
+            ui.notifications.error("Visual-QTE | 剧本至少需要一个阶段。");
+            return null;
+        }
+        const stages = defs.map((stage, i) => ({ id: String(i + 1), ...stage }));
+
+        // Token 在开始时解析一次，之后各阶段保持同一批角色
+        if (tokens || actors) {
+            const characters = VisualQTE.resolveCharacters({ tokens, actors });
+            if (foundry.utils.isEmpty(characters)) {
+                ui.notifications.error("Visual-QTE | 没有找到可参与的 Token 或角色。");
+                return null;
+            }
+            shared.actors = Object.values(characters).map(c => c.actorUuid);
+        }
+
+        const history = [];
+        let index = start ? stages.findIndex(s => s.id === start) : 0;
+        let ending = null;
+
+        while (!ending) {
+            const stage = stages[index];
+            if (!stage) {
+                ui.notifications.error("Visual-QTE | 剧本指向了不存在的阶段。");
+                ending = 'error';
+                break;
+            }
+            if (history.length >= SCENARIO_MAX_STAGES) {
+                ui.notifications.warn(`Visual-QTE | 剧本已运行 ${SCENARIO_MAX_STAGES} 个阶段，判定为失败。`);
+                ending = 'lose';
+                break;
+            }
+
+            // 阶段标题优先，其次是预设或阶段配置中的标题，最后沿用剧本标题
+            const { id, onPerfect, onSuccess, onFail, ...config } = stage;
+            const presetTitle = config.preset ? VisualQTE.getPresets()[config.preset]?.title : "";
+            const stageTitle = config.title || presetTitle || title;
+
+            const results = await VisualQTE.trigger({ ...shared, ...config, title: stageTitle });
+            if (!results) {
+                ending = 'error';
+                break;
+            }
+
+            const list = Object.values(results);
+            const tier = VisualQTE.getStageTier(list, pass);
+            history.push({
+                id,
+                title: stageTitle,
+                mode: list[0]?.mode ?? config.mode,
+                tier,
+                results
+            });
+            if (!tier) {
+                ending = 'aborted';
+                break;
+            }
+
+            // 决定去向
+            const next = { perfect: onPerfect ?? onSuccess, success: onSuccess, fail: onFail }[tier]
+                ?? (tier === 'fail' ? 'lose' : 'next');
+            if (next === 'win' || next === 'lose') ending = next;
+            else if (next === 'next') {
+                index++;
+                if (index >= stages.length) ending = 'win';
+            } else index = stages.findIndex(s => s.id === next);
+        }
+
+        await VisualQTE.postScenarioCard(title, ending, history);
+        return { ending, stages: history };
+    }
+
+    /**
+     * 汇总一个阶段的评价档位
+     * 
+     * @static
+     * @param {Array<QTEResult>} results - 该阶段全部参与者的结果
+     * @param {string} pass - 'all' | 'any' | 'majority'
+     * @returns {string|null} 'perfect' | 'success' | 'fail'，全员被中止时为 null
+     */
+    static getStageTier(results, pass) {
+        const tiers = results.map(r => VisualQTE.getOutcomeTier(r)).filter(t => t);
+        if (tiers.length === 0) return null;
+
+        const passed = tiers.filter(t => t !== 'fail').length;
+        const required = { any: 1, majority: Math.floor(tiers.length / 2) + 1 }[pass] ?? tiers.length;
+        if (passed < required) return 'fail';
+        return tiers.every(t => t === 'perfect') ? 'perfect' : 'success';
+    }
+
+    /**
+     * 发送剧本战报
+     * 
+     * @static
+     * @param {string} title - 剧本标题
+     * @param {string} ending - 结局
+     * @param {Array<object>} history - 各阶段记录
+     */
+    static async postScenarioCard(title, ending, history) {
+        const rating = { perfect: 'perfect', success: 'good', fail: 'bad' };
+        const stages = history.map((stage, i) => {
+            const tiers = Object.values(stage.results).map(r => VisualQTE.getOutcomeTier(r)).filter(t => t);
+            return {
+                number: i + 1,
+                title: stage.title || stage.mode,
+                tierText: OUTCOME_TIERS[stage.tier]?.label ?? "中止",
+                rating: rating[stage.tier] ?? 'bad',
+                passed: tiers.filter(t => t !== 'fail').length,
+                total: tiers.length
+            };
+        });
+
+        // 全部阶段完美通关时以完美配色显示
+        let grade = SCENARIO_ENDINGS[ending].grade;
+        if (ending === 'win' && history.every(s => s.tier === 'perfect')) grade = 'perfect';
+
+        const content = await foundry.applications.handlebars.renderTemplate(TEMPLATES.SCENARIO_CARD, {
+            title: title || "多阶段挑战",
+            endingText: SCENARIO_ENDINGS[ending].label,
+            grade,
+            stages
+        });
+        ChatMessage.create({
+            user: game.user.id,
+            content,
+            flags: { [MODULE_ID]: { scenario: true, title, ending, stages: history } }
+        });
+    }
+
+    /**
+     * 获取全部已保存的剧本
+     * 
+     * @static
+     * @returns {Object<string, object>} 以剧本名称为键的剧本表
+     */
+    static getScenarios() {
+        return foundry.utils.deepClone(game.settings.get(MODULE_ID, "scenarios") ?? {});
+    }
+
+    /**
+     * 保存（或覆盖）一个剧本
+     * 
+     * @static
+     * @param {string} name - 剧本名称
+     * @param {object} scenario - 剧本定义
+     */
+    static async saveScenario(name, scenario) {
+        name = name?.trim();
+        if (!name) {
+            ui.notifications.error("Visual-QTE | 剧本名称不能为空。");
+            return;
+        }
+
+        const scenarios = VisualQTE.getScenarios();
+        scenarios[name] = scenario;
+        await game.settings.set(MODULE_ID, "scenarios", scenarios);
+        ui.notifications.info(`Visual-QTE | 已保存剧本「${name}」。`);
+    }
+
+    /**
+     * 删除一个剧本
+     * 
+     * @static
+     * @param {string} name - 剧本名称
+     */
+    static async deleteScenario(name) {
+        const scenarios = VisualQTE.getScenarios();
+        if (!(name in scenarios)) return;
+
+        delete scenarios[name];
+        await game.settings.set(MODULE_ID, "scenarios", scenarios);
+        ui.notifications.info(`Visual-QTE | 已删除剧本「${name}」。`);
+    }
+
+    // ======================= 战斗集成 =======================
+
+    /**
+     * 获取战斗者的回合开始 QTE
+     * 
+     * @static
+     * @param {Combatant} combatant - 战斗者
+     * @returns {object|null} trigger() 配置，未设置时为 null
+     */
+    static getTurnQTE(combatant) {
+        return combatant.getFlag(MODULE_ID, "turnQTE") ?? null;
+    }
+
+    /**
+     * 设置（或清除）战斗者的回合开始 QTE
+     * 
+     * @static
+     * @param {Combatant} combatant - 战斗者
+     * @param {object|null} config - trigger() 配置，如 { preset: "挣脱擒抱" }；为 null 时清除
+     */
+    static async setTurnQTE(combatant, config) {
+        if (config) await combatant.setFlag(MODULE_ID, "turnQTE", config);
+        else await combatant.unsetFlag(MODULE_ID, "turnQTE");
+    }
+
+    /**
+     * 向战斗者的拥有者发起反应 QTE（闪避、格挡等）
+     * 
+     * 使用世界设置「反应 QTE 预设」，留空时使用内置的单键闪避
+     * 
+     * @static
+     * @param {Combatant} combatant - 战斗者
+     * @returns {Promise<Object<string, QTEResult>|null>} 结果表
+     */
+    static reactionQTE(combatant) {
+        const preset = game.settings.get(MODULE_ID, "reactionPreset");
+        const config = preset ? { preset } : { ...REACTION_CONFIG };
+        return VisualQTE.triggerForCombatant(combatant, config, 'reaction');
+    }
+
+    /**
+     * 向战斗者的拥有者发起 QTE，并把结果写入战斗战报
+     * 
+     * @static
+     * @param {Combatant} combatant - 战斗者
+     * @param {object} config - trigger() 配置
+     * @param {string} kind - 'turn'(回合开始) | 'reaction'(反应)
+     * @returns {Promise<Object<string, QTEResult>|null>} 结果表
+     */
+    static async triggerForCombatant(combatant, config, kind) {
+        if (!combatant.token && !combatant.actor) {
+            ui.notifications.error(`Visual-QTE | 战斗者 ${combatant.name} 没有对应的 Token 或角色。`);
+            return null;
+        }
+        const target = combatant.token ? { tokens: [combatant.token] } : { actors: [combatant.actor] };
+
+        const results = await VisualQTE.trigger({ ...config, ...target });
+        if (results) await VisualQTE.postCombatCard(combatant, kind, results);
+        return results;
+    }
+
+    /**
+     * 回合切换时触发当前战斗者的回合开始 QTE (combatTurnChange 钩子)
+     * 
+     * 只由在线的 GM 客户端处理，避免重复触发
+     * 
+     * @static
+     * @param {Combat} combat - 战斗
+     * @param {object} prior - 切换前的回合信息
+     * @param {object} current - 切换后的回合信息
+     */
+    static onCombatTurnChange(combat, prior, current) {
+        if (!game.users.activeGM?.isSelf) return;
+
+        const combatant = combat.combatants.get(current.combatantId);
+        const config = combatant && VisualQTE.getTurnQTE(combatant);
+        if (config) VisualQTE.triggerForCombatant(combatant, config, 'turn');
+    }
+
+    /**
+     * 发送战斗 QTE 战报
+     * 
+     * @static
+     * @param {Combatant} combatant - 战斗者
+     * @param {string} kind - 'turn' | 'reaction'
+     * @param {Object<string, QTEResult>} results - 以用户ID为键的结果表
+     */
+    static async postCombatCard(combatant, kind, results) {
+        const rating = { perfect: 'perfect', success: 'good', fail: 'bad' };
+        const list = Object.values(results);
+        const tiers = list.map(r => VisualQTE.getOutcomeTier(r));
+        const rows = list.map((r, i) => ({
+            name: r.actorName ?? r.userName,
+            tierText: OUTCOME_TIERS[tiers[i]]?.label ?? "中止",
+            rating: rating[tiers[i]] ?? 'bad'
+        }));
+
+        const passed = tiers.some(t => t && t !== 'fail');
+        const content = await foundry.applications.handlebars.renderTemplate(TEMPLATES.COMBAT_CARD, {
+            title: list[0]?.title || COMBAT_QTE_KINDS[kind],
+            round: combatant.combat.round,
+            combatantName: combatant.name,
+            kindText: COMBAT_QTE_KINDS[kind],
+            grade: passed ? 'clear' : 'fail',
+            rows
+        });
+        ChatMessage.create({
+            user: game.user.id,
+            speaker: ChatMessage.getSpeaker({ actor: combatant.actor, token: combatant.token }),
+            content,
+            flags: {
+                [MODULE_ID]: {
+                    combat: true,
+                    kind,
+                    combatId: combatant.combat.id,
+                    combatantId: combatant.id,
+                    round: combatant.combat.round,
+                    results
+                }
+            }
+        });
+    }
+
+    /**
+     * 弹窗为战斗者选择回合开始 QTE 的预设
+     * 
+     * @static
+     * @param {Combatant} combatant - 战斗者
+     */
+    static async promptTurnQTE(combatant) {
+        const presets = Object.keys(VisualQTE.getPresets());
+        if (presets.length === 0) {
+            ui.notifications.error("Visual-QTE | 请先在 QTE 配置窗口中保存预设。");
+            return;
+        }
+
+        const current = VisualQTE.getTurnQTE(combatant)?.preset;
+        const escape = Handlebars.escapeExpression;
+        const options = presets.map(name =>
+            `<option value="${escape(name)}" ${name === current ? 'selected' : ''}>${escape(name)}</option>`).join("");
+
+        const preset = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `回合开始 QTE: ${combatant.name}` },
+            content: `<div class="form-group"><label>预设</label><div class="form-fields"><select name="preset">${options}</select></div></div>`,
+            ok: {
+                label: "设置",
+                callback: (event, button) => button.form.elements.preset.value
+            },
+            rejectClose: false
+        });
+        if (preset) await VisualQTE.setTurnQTE(combatant, { preset });
+    }
+
+    // ======================= 结果效果 =======================
+
+    /**
+     * GM 端登记的结果效果会话
+     * key 为会话ID，value 为 { senderId, title, outcomes, applied, timer }
+     * 只在 GM 客户端上有内容
+     * @static @type {Map<string, object>}
+     */
+    static outcomeSessions = new Map();
+
+    /**
+     * 将本次 QTE 的结果效果登记到 GM 客户端
+     * 
+     * 在分发之前调用；之后 GM 只按登记的效果执行，不信任结果回传时附带的内容
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据（含 outcomes）
+     */
+    static registerOutcomes(data) {
+        qteSocket.executeAsGM("registerQTEOutcomes", data.sessionId, data.title, data.outcomes)
+            .catch(err => {
+                console.warn(`${MODULE_ID} | 结果效果登记失败:`, err);
+                ui.notifications.warn("Visual-QTE | 没有在线的 GM，无法落实结果效果。");
+            });
+    }
+
+    /**
+     * 登记结果效果会话 (Socket 回调，在 GM 客户端执行)
+     * 
+     * 发起者以 Socket 的实际发送者为准，会话在 OUTCOME_SESSION_TTL 后过期
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @param {string} title - QTE 事件标题
+     * @param {object} outcomes - 按评价档位配置的结果效果
+     */
+    static receiveOutcomeRegistration(sessionId, title, outcomes) {
+        const senderId = this?.socketdata?.userId;
+        if (!senderId || !game.user.isGM || VisualQTE.outcomeSessions.has(sessionId)) return;
+        if (foundry.utils.getType(outcomes) !== 'Object') return;
+
+        const timer = setTimeout(() => VisualQTE.outcomeSessions.delete(sessionId), OUTCOME_SESSION_TTL);
+        VisualQTE.outcomeSessions.set(sessionId, { senderId, title, outcomes, applied: new Set(), timer });
+    }
+
+    /**
+     * 按评价档位落实每位参与者的结果效果
+     * 
+     * 在发起者客户端上调用；实际的文档更新通过 Socket 交由 GM 客户端执行，
+     * GM 只对发起者拥有的角色执行登记过的效果
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据（含 outcomes）
+     * @param {Object<string, QTEResult>} results - 以用户ID为键的结果表
+     */
+    static applyOutcomes(data, results) {
+        for (const result of Object.values(results)) {
+            const tier = VisualQTE.getOutcomeTier(result);
+            if (!tier || !VisualQTE.getTierOutcomes(data.outcomes, tier).length) continue;
+
+            const actorUuid = result.actorUuid ?? game.users.get(result.userId)?.character?.uuid;
+            if (!actorUuid) {
+                console.warn(`${MODULE_ID} | ${result.userName} 没有对应的角色，跳过结果效果。`);
+                continue;
+            }
+
+            qteSocket.executeAsGM("applyQTEOutcome", data.sessionId, actorUuid, tier, result).catch(err => {
+                console.warn(`${MODULE_ID} | 结果效果执行失败:`, err);
+                ui.notifications.warn("Visual-QTE | 没有在线的 GM，无法落实结果效果。");
+            });
+        }
+    }
+
+    /**
+     * 取出某个评价档位的结果效果列表
+     * 
+     * @static
+     * @param {object} outcomes - 按评价档位配置的结果效果
+     * @param {string} tier - 'perfect' | 'success' | 'fail'
+     * @returns {Array<object>} 有效的结果效果，perfect 未配置时沿用 success
+     */
+    static getTierOutcomes(outcomes, tier) {
+        return [outcomes?.[tier] ?? (tier === 'perfect' ? outcomes?.success : null)]
+            .flat()
+            .filter(outcome => outcome?.type in OUTCOME_TYPES);
+    }
+
+    /**
+     * 判断结果所属的评价档位
+     * 
+     * 被中止、排队过期或被打断的玩家不计入任何档位
+     * 
+     * @static
+     * @param {QTEResult} result - 结果对象
+     * @returns {string|null} 'perfect' | 'success' | 'fail'
+     */
+    static getOutcomeTier(result) {
+        if (['aborted', 'expired', 'interrupted'].includes(result.status)) return null;
+        if (!result.success) return 'fail';
+        return result.grade === 'perfect' ? 'perfect' : 'success';
+    }
+
+    /**
+     * 对角色落实一组结果效果 (Socket 回调，在 GM 客户端执行)
+     * 
+     * 请求者必须是已登记会话的发起者并拥有目标角色，每个角色每局只执行一次；
+     * 效果取自 GM 端登记的内容，宏效果只在发起者为 GM 时执行。
+     * 全部执行完后发送一张效果战报
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @param {string} actorUuid - 角色 UUID
+     * @param {string} tierId - 评价档位 'perfect' | 'success' | 'fail'
+     * @param {QTEResult} result - 该参与者的结果，供宏读取
+     */
+    static async applyOutcome(sessionId, actorUuid, tierId, result) {
+        const sender = game.users.get(this?.socketdata?.userId);
+        const session = VisualQTE.outcomeSessions.get(sessionId);
+        if (!sender || session?.senderId !== sender.id) {
+            console.warn(`${MODULE_ID} | 拒绝未登记的结果效果请求 (${sender?.name ?? "未知用户"})。`);
+            return;
+        }
+        if (!(tierId in OUTCOME_TIERS) || session.applied.has(actorUuid)) return;
+
+        const actor = await fromUuid(actorUuid);
+        if (!(actor instanceof Actor) || !actor.testUserPermission(sender, "OWNER")) {
+            console.warn(`${MODULE_ID} | ${sender.name} 不拥有角色 ${actorUuid}，跳过结果效果。`);
+            return;
+        }
+        session.applied.add(actorUuid);
+
+        const outcomes = VisualQTE.getTierOutcomes(session.outcomes, tierId)
+            .filter(outcome => outcome.type !== 'macro' || sender.isGM);
+        if (outcomes.length === 0) return;
+        const context = { sessionId, title: session.title, tier: tierId, result };
+
+        const applied = [];
+        for (const outcome of outcomes) {
+            try {
+                const text = await VisualQTE.applySingleOutcome(actor, outcome, context);
+                applied.push({ icon: OUTCOME_TYPES[outcome.type].icon, text });
+            } catch (err) {
+                console.error(`${MODULE_ID} | 结果效果 ${outcome.type} 执行失败:`, err);
+                applied.push({ icon: 'fa-triangle-exclamation', text: `${OUTCOME_TYPES[outcome.type].label}执行失败: ${err.message}` });
+            }
+        }
+
+        const tier = OUTCOME_TIERS[context.tier];
+        const content = await foundry.applications.handlebars.renderTemplate(TEMPLATES.OUTCOME, {
+            title: context.title || "QTE 结果",
+            actorName: actor.name,
+            tierText: tier.label,
+            grade: tier.grade,
+            applied
+        });
+        ChatMessage.create({
+            user: game.user.id,
+            speaker: ChatMessage.getSpeaker({ actor }),
+            content,
+            flags: { [MODULE_ID]: { sessionId: context.sessionId, outcome: true, tier: context.tier, actorUuid, outcomes } }
+        });
+    }
+
+    /**
+     * 落实单个结果效果
+     * 
+     * @static
+     * @param {Actor} actor - 目标角色
+     * @param {object} outcome - 结果效果
+     * @param {object} context - { sessionId, title, tier, result }
+     * @returns {Promise<string>} 效果描述，用于战报
+     */
+    static async applySingleOutcome(actor, outcome, context) {
+        switch (outcome.type) {
+            case 'damage':
+            case 'heal': {
+                // 默认作用于常见的生命值路径，不同系统可通过 path 指定
+                const path = outcome.path ?? "system.attributes.hp.value";
+                const current = foundry.utils.getProperty(actor, path);
+                if (typeof current !== 'number') throw new Error(`角色没有数值属性 ${path}`);
+
+                const roll = await new Roll(String(outcome.value), actor.getRollData()).evaluate();
+                const amount = Math.max(0, roll.total);
+                const max = foundry.utils.getProperty(actor, path.replace(/\.value$/, ".max"));
+                let value = outcome.type === 'damage' ? current - amount : current + amount;
+                if (typeof max === 'number') value = Math.min(max, value);
+                await actor.update({ [path]: Math.max(0, value) });
+
+                return outcome.type === 'damage' ? `受到 ${amount} 点伤害` : `恢复 ${amount} 点生命`;
+            }
+            case 'rollBonus': {
+                // 累加到角色标记上，在该角色的下一次掷骰时消耗
+                const roll = await new Roll(String(outcome.value), actor.getRollData()).evaluate();
+                const bonus = (actor.getFlag(MODULE_ID, "rollBonus") ?? 0) + roll.total;
+                await actor.setFlag(MODULE_ID, "rollBonus", bonus);
+                return `下一次掷骰 ${roll.total >= 0 ? '+' : ''}${roll.total}`;
+            }
+            case 'status': {
+                const status = CONFIG.statusEffects.find(s => s.id === outcome.id);
+                if (!status) throw new Error(`未知的状态 ${outcome.id}`);
+                await actor.toggleStatusEffect(outcome.id, { active: true });
+                return `获得状态「${game.i18n.localize(status.name)}」`;
+            }
+            case 'effect': {
+                const { type, ...effectData } = outcome;
+                const [effect] = await actor.createEmbeddedDocuments("ActiveEffect", [{
+                    name: context.title || "QTE",
+                    img: "icons/svg/lightning.svg",
+                    duration: { rounds: 1 },    // 默认为临时效果，持续 1 轮
+                    ...effectData,
+                    flags: { [MODULE_ID]: { sessionId: context.sessionId } }
+                }]);
+                return `获得效果「${effect.name}」`;
+            }
+            case 'macro': {
+                const macro = await fromUuid(outcome.uuid);
+                if (!(macro instanceof Macro)) throw new Error(`找不到宏 ${outcome.uuid}`);
+                await macro.execute({ actor, token: actor.getActiveTokens()[0] ?? null, result: context.result, tier: context.tier });
+                return `执行宏「${macro.name}」`;
+            }
+        }
+    }
+
+    /**
+     * 消耗角色身上的下次掷骰调整值 (preCreateChatMessage 钩子)
+     * 
+     * 将调整值作为常数项追加到消息中的第一个掷骰上，并清除角色标记
+     * 
+     * @static
+     * @param {ChatMessage} message - 即将创建的消息
+     */
+    static consumeRollBonus(message) {
+        if (!message.rolls.length) return;
+        const actor = ChatMessage.getSpeakerActor(message.speaker);
+        const bonus = actor?.getFlag(MODULE_ID, "rollBonus");
+        if (!bonus || !actor.isOwner) return;
+
+        // 以一个已求值的 "0 ± n" 提供常数项，避免手动构造未求值的骰项
+        const [roll, ...others] = message.rolls;
+        const extra = new Roll(`0 ${bonus < 0 ? '-' : '+'} ${Math.abs(bonus)}`).evaluateSync();
+        const adjusted = Roll.fromTerms([...roll.terms, ...extra.terms.slice(1)], roll.options);
+
+        const sign = bonus < 0 ? '' : '+';
+        message.updateSource({
+            rolls: [adjusted, ...others].map(r => JSON.stringify(r)),
+            flavor: `${message.flavor ?? ""} (QTE 调整值 ${sign}${bonus})`.trim(),
+            ...(message.content === String(roll.total) ? { content: String(adjusted.total) } : {})
+        });
+        actor.unsetFlag(MODULE_ID, "rollBonus");
+    }
+}
+
+// ============================================================================
+// 2. 初始化与钩子函数
+// ============================================================================
+
+/**
+ * 初始化钩子
+ * 
+ * 注册模块设置：
+ * - 世界级：各模式的默认参数与反馈时长，通过设置菜单编辑
+ * - 客户端级：音量、界面缩放与减少动效
+ * 
+ * 随后注册内置模式，并调用 visualQTE.registerModes 钩子供其他模块注册自定义模式
+ */
+Hooks.once("init", () => {
+    // 世界级默认参数（只保存与出厂默认值不同的项）
+    game.settings.register(MODULE_ID, "defaults", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // 世界级预设库：{ 预设名称: trigger() 配置 }
+    game.settings.register(MODULE_ID, "presets", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // 世界级剧本库：{ 剧本名称: 剧本定义 }
+    game.settings.register(MODULE_ID, "scenarios", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // 场景区域行为：「触发 QTE」
+    const behaviorType = `${MODULE_ID}.triggerQTE`;
+    CONFIG.RegionBehavior.dataModels[behaviorType] = QTERegionBehavior;
+    CONFIG.RegionBehavior.typeLabels[behaviorType] = "触发 Visual QTE";
+    CONFIG.RegionBehavior.typeIcons[behaviorType] = "fas fa-bolt";
+
+    game.settings.registerMenu(MODULE_ID, "defaultsMenu", {
+        name: "默认参数",
+        label: "配置默认参数",
+        hint: "各模式的默认难度、时长与反馈时间，QTE 配置窗口也会以此预填。",
+        icon: "fas fa-sliders-h",
+        type: QTESettingsConfig,
+        restricted: true
+    });
+
+    // 每位玩家的无障碍配置（保存在用户 flags 中，GM 可代为设置）
+    game.settings.registerMenu(MODULE_ID, "accessibilityMenu", {
+        name: "无障碍配置",
+        label: "配置无障碍选项",
+        hint: "放宽判定时间、关闭抖动闪烁、使用色盲友好配色与文字标注。",
+        icon: "fas fa-universal-access",
+        type: QTEAccessibilityConfig,
+        restricted: false
+    });
+
+    // 战斗中「反应 QTE」使用的预设
+    game.settings.register(MODULE_ID, "reactionPreset", {
+        name: "反应 QTE 预设",
+        hint: "在战斗追踪器中对战斗者发起反应 QTE 时使用的预设名称，留空则使用内置的单键闪避。",
+        scope: "world",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    // 客户端级显示与音效选项
+    game.settings.register(MODULE_ID, "volume", {
+        name: "音效音量",
+        hint: "QTE 评价音效的音量。",
+        scope: "client",
+        config: true,
+        type: Number,
+        range: { min: 0, max: 1, step: 0.05 },
+        default: 0.8
+    });
+
+    game.settings.register(MODULE_ID, "overlayScale", {
+        name: "界面缩放",
+        hint: "QTE 界面（圆环、进度条、目标等）的显示倍率。",
+        scope: "client",
+        config: true,
+        type: Number,
+        range: { min: 0.5, max: 2, step: 0.1 },
+        default: 1,
+        onChange: () => QTEOverlay.applyClientSettings()
+    });
+
+    game.settings.register(MODULE_ID, "reducedMotion", {
+        name: "减少动效",
+        hint: "关闭抖动、闪烁与脉冲等装饰性动画，判定相关的动画不受影响。",
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: () => QTEOverlay.applyClientSettings()
+    });
+
+    // 注册内置模式，随后由其他模块注册自定义模式
+    for (const [id, definition] of Object.entries(BUILTIN_MODES)) VisualQTE.registerMode(id, definition);
+    Hooks.callAll(HOOKS.REGISTER_MODES, VisualQTE);
+});
+
+/**
+ * Socketlib 就绪钩子
+ * 
+ * 在 Socketlib 系统初始化完成后注册模块和通信函数
+ * 同时将 API 暴露到全局 game 对象，方便宏命令调用
+ */
+Hooks.once("socketlib.ready", () => {
+    // 注册模块与 Socket 函数
+    qteSocket = socketlib.registerModule(MODULE_ID);
+    qteSocket.register("startQTESession", QTEOverlay.startSession); 
+    qteSocket.register("reportQTEResult", VisualQTE.receiveResult);
+    qteSocket.register("reportQTEProgress", VisualQTE.receiveProgress);
+    qteSocket.register("reportQTEBusy", VisualQTE.receiveBusy);
+    qteSocket.register("reportQTEStarted", VisualQTE.receiveStarted);
+    qteSocket.register("mashPress", VisualQTE.receiveMashPress);
+    qteSocket.register("mashState", MashRuntime.receiveState);
+    qteSocket.register("mashEnd", MashRuntime.receiveEnd);
+    qteSocket.register("controlQTESession", QTEOverlay.controlSession);
+    qteSocket.register("registerQTEOutcomes", VisualQTE.receiveOutcomeRegistration);
+    qteSocket.register("applyQTEOutcome", VisualQTE.applyOutcome);
+
+    // 将 API 暴露到全局 game 对象，方便宏调用
+    game.modules.get(MODULE_ID).api = VisualQTE;
+
+    console.log(`${MODULE_ID} | 初始化完成，API 已就绪。`);
+});
+
+/**
+ * 玩家连接状态钩子
+ * 
+ * 玩家掉线时，立即结算其在等待中会话里的结果，无需等到超时
+ */
+Hooks.on('userConnected', (user, connected) => {
+    if (!connected) VisualQTE.handleDisconnect(user.id);
+});
+
+/**
+ * 战斗回合切换钩子
+ * 
+ * 轮到被标记的战斗者时，自动发起其回合开始 QTE
+ */
+Hooks.on('combatTurnChange', (combat, prior, current) => {
+    VisualQTE.onCombatTurnChange(combat, prior, current);
+});
+
+/**
+ * 战斗追踪器右键菜单钩子
+ * 
+ * 为 GM 添加设置/清除回合开始 QTE 与发起反应 QTE 的选项
+ */
+Hooks.on('getCombatantContextOptions', (app, options) => {
+    if (!game.user.isGM) return;
+
+    const getCombatant = (li) => app.viewed?.combatants.get(li.dataset.combatantId);
+    options.push(
+        {
+            name: "设置回合开始 QTE",
+            icon: '<i class="fas fa-hourglass-start"></i>',
+            callback: li => VisualQTE.promptTurnQTE(getCombatant(li))
+        },
+        {
+            name: "清除回合开始 QTE",
+            icon: '<i class="fas fa-hourglass"></i>',
+            condition: li => !!VisualQTE.getTurnQTE(getCombatant(li)),
+            callback: li => VisualQTE.setTurnQTE(getCombatant(li), null)
+        },
+        {
+            name: "发起反应 QTE",
+            icon: '<i class="fas fa-shield-halved"></i>',
+            callback: li => VisualQTE.reactionQTE(getCombatant(li))
+        }
+    );
+});
+
+/**
+ * 战斗追踪器渲染钩子
+ * 
+ * 在战斗者行上添加「反应 QTE」按钮，并标记设置了回合开始 QTE 的战斗者
+ */
+Hooks.on('renderCombatTracker', (app, html) => {
+    if (!game.user.isGM || !app.viewed) return;
+
+    for (const li of html.querySelectorAll('.combatant[data-combatant-id]')) {
+        const combatant = app.viewed.combatants.get(li.dataset.combatantId);
+        const controls = li.querySelector('.combatant-controls');
+        if (!combatant || !controls) continue;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'inline-control combatant-control icon fas fa-shield-halved qte-reaction-control';
+        button.dataset.tooltip = "发起反应 QTE";
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            VisualQTE.reactionQTE(combatant);
+        });
+        controls.append(button);
+
+        if (VisualQTE.getTurnQTE(combatant)) {
+            const marker = document.createElement('i');
+            marker.className = 'fas fa-hourglass-start qte-turn-marker';
+            marker.dataset.tooltip = "回合开始时发起 QTE";
+            controls.append(marker);
+        }
+    }
+});
+
+/**
+ * 聊天消息创建前钩子
+ * 
+ * QTE 结果效果中的「下次掷骰调整值」在角色的下一条掷骰消息上生效
+ */
+Hooks.on('preCreateChatMessage', (message) => {
+    VisualQTE.consumeRollBonus(message);
+});
+
+/**
+ * 场景控制按钮钩子
+ * 
+ * 在 Token 控制层添加 QTE 触发按钮，方便 GM 快速使用
+ * 支持 Foundry VTT v12 和 v13 的不同控制结构
+ */
+Hooks.on('getSceneControlButtons', (controls) => {
+    // 权限检查 - 只有 GM 才能看到和使用此按钮
+    if (!game.user.isGM) return;
+    
+    // --- 定义按钮配置 ---
+    const qteTools = [
+        {
+            name: 'trigger-qte',              // 工具唯一标识
+            title: 'QTE 事件配置',            // 鼠标悬停提示
+            icon: 'fas fa-stopwatch',         // FontAwesome 图标
+            visible: true,                    // 始终可见
+            button: true,                     // 显示为按钮形式
+            onChange: () => {                 // 点击回调函数
+                if (VisualQTE) VisualQTE.openDialog();
+            }
+        },
+        {
+            name: 'monitor-qte',
+            title: 'QTE 实时监控',
+            icon: 'fas fa-desktop',
+            visible: true,
+            button: true,
+            onChange: () => VisualQTE.openMonitor()
+        }
+    ];
+
+    // --- 步骤 1: 查找 Token 控制层级 ---
+    let tokenLayer = null;
+
+    // V13 模式: controls 是对象，直接通过属性访问
+    if (controls.tokens) {
+        tokenLayer = controls.tokens;
+    } 
+    // V12 模式: controls 是数组，通过查找 name 访问
+    else if (Array.isArray(controls)) {
+        tokenLayer = controls.find(c => c.name === 'token');
+    }
+
+    // --- 步骤 2: 注入按钮到控制层 ---
+    if (tokenLayer) {
+        const tools = tokenLayer.tools;
+
+        for (const qteTool of qteTools) {
+            // V13 判断: 如果 tools 不是数组 (是对象或 Map)
+            if (tools && !Array.isArray(tools)) {
+                // 如果是 Map 类型 (V13 可能使用 JS Map)
+                if (tools instanceof Map) {
+                    if (!tools.has(qteTool.name)) {
+                        tools.set(qteTool.name, qteTool);
+                    }
+                } 
+                // 如果是普通 Object 类型
+                else {
+                    tokenLayer.tools[qteTool.name] = qteTool;
+                }
+            } 
+            // V12 判断: 如果 tools 是数组
+            else if (Array.isArray(tools)) {
+                if (!tools.some(t => t.name === qteTool.name)) {
+                    tools.push(qteTool);
+                }
+            }
+        }
+    } else {
+        console.warn("Visual-QTE | 无法找到 Token 控制层级，按钮添加失败。");
+    }
+});
+
+// ============================================================================
+// 3. 配置界面 (Application V2)
+// ============================================================================
+
+/**
+ * QTE 配置对话框类
+ * 
+ * 基于 Foundry VTT Application V2 系统构建的配置界面
+ * 提供各游戏模式的参数配置
+ * 
+ * @extends {ApplicationV2}
+ */
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+class QTEDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+    
+    /**
+     * 应用默认配置
+     * @static
+     */
+    static DEFAULT_OPTIONS = {
+        tag: "form",                         // 根元素标签
+        id: "qte-config-dialog",            // 唯一ID
+        classes: ["qte-config-window"],     // CSS 类名
+        window: {
+            icon: "fas fa-stopwatch",       // 窗口图标
+            title: "QTE 事件配置",          // 窗口标题
+            resizable: false                // 禁止调整大小
+        },
+        form: {
+            handler: QTEDialog.formHandler, // 表单提交处理器
+            closeOnSubmit: true             // 提交后关闭窗口
+        },
+        actions: {
+            savePreset: QTEDialog.onSavePreset,       // 将当前表单保存为预设
+            deletePreset: QTEDialog.onDeletePreset,   // 删除选中的预设
+            importPresets: QTEDialog.onImportPresets, // 从 JSON 文件导入预设
+            exportPresets: QTEDialog.onExportPresets, // 导出全部预设
+            createMacro: QTEDialog.onCreateMacro,     // 将当前表单生成为脚本宏
+            openScenarioEditor: QTEDialog.onOpenScenarioEditor  // 打开多阶段剧本编辑器
+        }
+    };
+
+    /** @type {string} 当前载入的预设名称 */
+    preset = "";
+
+    /**
+     * 模板部件配置
+     * @static
+     */
+    static PARTS = {
+        form: {
+            template: `modules/${MODULE_ID}/templates/qte-dialog.hbs`  // Handlebars 模板路径
+        }
+    };
+
+    /**
+     * 准备数据上下文
+     * 
+     * 为模板提供渲染所需的数据
+     * 包括玩家列表、默认模式等
+     * 
+     * @param {object} options - 应用选项
+     * @returns {object} 模板数据上下文
+     */
+    async _prepareContext(options) {
+        // 获取所有活跃的非GM玩家
+        const players = game.users.filter(u => u.active && !u.isSelf).map(u => ({
+            id: u.id,           // 玩家ID
+            name: u.name,       // 玩家名称
+            color: u.color,     // 玩家颜色
+            active: true        // 活跃状态
+        }));
+
+        // 表单以世界设置中的默认参数预填，载入预设时再叠加预设参数
+        const presets = VisualQTE.getPresets();
+        const defaults = { ...VisualQTE.getDefaults(), ...(presets[this.preset] ?? {}) };
+        const choices = [0, 1, 2, 3].map(i => defaults.choices?.[i] ?? "");
+
+        // 各模式的参数区由注册表中的模式定义提供
+        const modes = await Promise.all(Array.from(VisualQTE.modes.values(), async mode => ({
+            id: mode.id,
+            label: mode.label,
+            fields: mode.dialog?.template
+                ? await foundry.applications.handlebars.renderTemplate(mode.dialog.template, { defaults, choices })
+                : ""
+        })));
+
+        return {
+            players,                    // 玩家列表
+            defaults,                   // 默认参数
+            choices,                    // 抉择选项
+            modes,                      // 已注册的模式及其参数区
+            outcomes: Object.entries(OUTCOME_TIERS).map(([tier, { label }]) => {
+                // 每个档位在窗口中只编辑第一个效果
+                const outcome = [defaults.outcomes?.[tier]].flat()[0] ?? {};
+                return { tier, label, type: outcome.type ?? "", value: outcome.value ?? outcome.id ?? outcome.uuid ?? outcome.name ?? "" };
+            }),
+            outcomeTypes: Object.fromEntries(Object.entries(OUTCOME_TYPES).map(([type, { label }]) => [type, label])),
+            mode: defaults.mode,        // 默认选中的模式
+            presets: Object.fromEntries(Object.keys(presets).map(name => [name, name])),
+            preset: this.preset         // 当前载入的预设
+        };
+    }
+
+    /**
+     * 渲染后 DOM 监听器绑定
+     * 
+     * 处理模式切换时的界面动态效果
+     * 
+     * @param {object} context - 模板数据上下文
+     * @param {object} options - 渲染选项
+     */
+    _onRender(context, options) {
+        // 在 V2 中，this.element 是根 HTML 元素
+        // 由于我们定义了 tag: 'form'，所以 this.element 就是那个 <form>
+        const html = $(this.element);
+
+        // 获取关键DOM元素
+        const modeSelect = html.find('#qte-mode-select');
+        const allSettings = html.find('.qte-mode-settings');
+
+        // 选择预设后以预设参数重新渲染表单
+        html.find('select[name="preset"]').on('change', (ev) => {
+            this.preset = ev.target.value;
+            this.render();
+        });
+
+        // 模式切换事件监听
+        modeSelect.on('change', (ev) => {
+            const mode = ev.target.value;
+            
+            // 重新计算窗口位置的回调函数
+            const resize = () => this.setPosition({ height: "auto" });
+
+            // 隐藏其他模式的设置，展开当前模式的设置区域 (#setting-模式名)
+            allSettings.not(`#setting-${mode}`).hide();
+            html.find(`#setting-${mode}`).slideDown(200, resize);
+        });
+    }
+
+    /**
+     * 表单提交处理器
+     * 
+     * 处理配置表单的提交，解析数据并触发对应的 QTE 事件
+     * 
+     * @static
+     * @param {Event} event - 提交事件
+     * @param {HTMLFormElement} form - 表单元素
+     * @param {FormDataExtended} formData - 表单数据
+     */
+    static async formHandler(event, form, formData) {
+        VisualQTE.trigger(QTEDialog.buildConfig(formData.object));
+    }
+
+    /**
+     * 将表单数据整理为 trigger() 的配置
+     * 
+     * 表单提交、保存预设等都经由此处解析
+     * 
+     * @static
+     * @param {object} data - 表单数据对象
+     * @returns {object} QTE 配置
+     */
+    static buildConfig(data) {
+        // 提取基础配置
+        const gmPlay = data.gmPlay;
+        const priority = data.priority;
+        const countdown = parseInt(data.countdown) || 0;
+        const mode = data.mode;
+        const title = data.customTitle;
+
+        // 结果效果：每个档位一种效果，值的含义随类型而定
+        const outcomes = QTEDialog.buildOutcomes(data);
+
+        // 勾选「使用选中的 Token」时改由 Token 的拥有者参与，忽略玩家勾选
+        const tokens = data.useSelectedTokens ? 'selected' : undefined;
+
+        // 解析目标玩家ID列表
+        // 表单中 targets.玩家ID 格式的字段表示选中状态
+        const targetIds = [];
+        for (let [key, value] of Object.entries(data)) {
+            if (!tokens && key.startsWith('targets.') && value === true) {
+                targetIds.push(key.split('.')[1]);  // 提取玩家ID
+            }
+        }
+        
+        // 如果GM参与且不在目标列表中，自动添加GM
+        // 对抗连打的双方由勾选的目标决定，不自动添加
+        const isVersus = mode === 'mash' && data.mashVariant === 'versus';
+        if ((targetIds.length > 0 || tokens) && gmPlay && !isVersus && !targetIds.includes(game.user.id)) {
+            targetIds.push(game.user.id);
+        }
+
+        // 模式专属参数由模式定义的 dialog.read() 解析
+        const params = VisualQTE.getMode(mode)?.dialog?.read?.(data) ?? {};
+
+        return {
+            title,
+            mode,
+            ...params,
+            gmPlay,
+            priority,
+            countdown,
+            targetIds,
+            tokens,
+            outcomes
+        };
+    }
+
+    /**
+     * 从表单数据整理结果效果
+     * 
+     * @static
+     * @param {object} data - 表单数据对象
+     * @returns {object|undefined} { perfect, success, fail }，全部留空时为 undefined
+     */
+    static buildOutcomes(data) {
+        const outcomes = {};
+        for (const tier of Object.keys(OUTCOME_TIERS)) {
+            const type = data[`outcome.${tier}.type`];
+            const value = data[`outcome.${tier}.value`]?.trim();
+            if (!type || !value) continue;
+
+            if (type === 'status') outcomes[tier] = { type, id: value };
+            else if (type === 'macro') outcomes[tier] = { type, uuid: value };
+            else if (type === 'effect') outcomes[tier] = { type, name: value };
+            else outcomes[tier] = { type, value };
+        }
+        return foundry.utils.isEmpty(outcomes) ? undefined : outcomes;
+    }
+
+    /**
+     * 打开多阶段剧本编辑器
+     * 
+     * 剧本沿用当前表单中的目标与通用参数
+     * 
+     * @static
+     */
+    static onOpenScenarioEditor() {
+        const config = QTEDialog.buildConfig(new foundry.applications.ux.FormDataExtended(this.element).object);
+        const { targetIds, tokens, gmPlay, priority, countdown } = config;
+        new QTEScenarioEditor({ targets: { targetIds, tokens, gmPlay, priority, countdown } }).render(true);
+    }
+
+    /**
+     * 将当前表单生成为脚本宏
+     * 
+     * 宏会出现在宏目录中，可直接拖到快捷栏使用
+     * 
+     * @static
+     */
+    static async onCreateMacro() {
+        const data = new foundry.applications.ux.FormDataExtended(this.element).object;
+        const config = QTEDialog.buildConfig(data);
+        const name = config.title || `QTE: ${config.mode}`;
+
+        const macro = await Macro.create({
+            name,
+            type: "script",
+            img: "icons/svg/lightning.svg",
+            command: QTEDialog.buildMacroCommand(config, data.macroTargets)
+        });
+        if (!macro) return;
+
+        ui.notifications.info(`Visual-QTE | 已创建宏「${name}」，可从宏目录拖到快捷栏。`);
+        macro.sheet.render(true);
+    }
+
+    /**
+     * 生成调用 trigger() 的宏脚本
+     * 
+     * @static
+     * @param {object} config - buildConfig() 整理出的配置
+     * @param {string} targets - 'users' 固定目标玩家 | 'tokens' 运行时选中 Token 的拥有者
+     * @returns {string} 宏脚本
+     */
+    static buildMacroCommand(config, targets = 'users') {
+        const { targetIds, tokens, ...params } = config;
+
+        // 以 Token 选人时，每次运行宏再由 trigger() 解析选中 Token 的拥有者
+        const selectsTokens = targets === 'tokens' || tokens === 'selected';
+        const fixed = selectsTokens ? { tokens: 'selected' } : { targetIds };
+        const lines = [
+            `// Visual-QTE：由 QTE 配置窗口生成`,
+            `const qte = game.modules.get("${MODULE_ID}")?.api;`,
+            `if (!qte) return ui.notifications.warn("Visual-QTE 模块未启用，无法发起 QTE。");`,
+            `qte.trigger(${JSON.stringify({ ...params, ...fixed }, null, 4)});`
+        ];
+        return lines.join("\n");
+    }
+
+    /**
+     * 将当前表单保存为预设
+     * 
+     * 默认以当前载入的预设名称保存（即覆盖），可在弹窗中改名另存
+     * 
+     * @static
+     */
+    static async onSavePreset() {
+        const config = QTEDialog.buildConfig(new foundry.applications.ux.FormDataExtended(this.element).object);
+        const escape = Handlebars.escapeExpression;
+
+        const name = await foundry.applications.api.DialogV2.prompt({
+            window: { title: "保存预设" },
+            content: `<input type="text" name="presetName" value="${escape(this.preset)}" placeholder="预设名称，如：Boss 擒抱" autofocus>`,
+            ok: {
+                label: "保存",
+                callback: (event, button) => button.form.elements.presetName.value
+            },
+            rejectClose: false
+        });
+        if (name === null || name === undefined) return;
+
+        await VisualQTE.savePreset(name, config);
+        this.preset = name.trim();
+        this.render();
+    }
+
+    /**
+     * 删除当前载入的预设
+     * 
+     * @static
+     */
+    static async onDeletePreset() {
+        if (!this.preset) {
+            ui.notifications.error("Visual-QTE | 请先选择要删除的预设。");
+            return;
+        }
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "删除预设" },
+            content: `<p>确定删除预设「${Handlebars.escapeExpression(this.preset)}」吗？</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        await VisualQTE.deletePreset(this.preset);
+        this.preset = "";
+        this.render();
+    }
+
+    /**
+     * 从 JSON 文件导入预设
+     * 
+     * @static
+     */
+    static async onImportPresets() {
+        const json = await foundry.applications.api.DialogV2.prompt({
+            window: { title: "导入预设" },
+            content: `<input type="file" name="presetFile" accept=".json,application/json">`,
+            ok: {
+                label: "导入",
+                callback: (event, button) => {
+                    const file = button.form.elements.presetFile.files[0];
+                    return file ? foundry.utils.readTextFromFile(file) : null;
+                }
+            },
+            rejectClose: false
+        });
+        if (!json) return;
+
+        await VisualQTE.importPresets(json);
+        this.render();
+    }
+
+    /**
+     * 导出全部预设
+     * 
+     * @static
+     */
+    static onExportPresets() {
+        VisualQTE.exportPresets();
+    }
+}
+
+// ============================================================================
+// 4. 客户端游戏引擎 - QTEOverlay 类
+// ============================================================================
+
+/**
+ * 客户端静态引擎类
+ * 
+ * 负责玩家端的会话生命周期：同步开始、暂停/中止、排队打断与结果回传
+ * 具体玩法由模式注册表中的运行时 (QTEModeRuntime) 实现
+ * 
+ * @static
+ */
+class QTEOverlay {
+    // ========================= 通用状态变量 =========================
+    
+    /** @static @type {boolean} 当前是否有活跃的 QTE 会话 */
+    static isActive = false;
+    
+    /** @static @type {string} 当前 QTE 模式 ('sequence' | 'mash' | 'hold' | 'combo' | 'aim' | 'balance' | 'choice' 或注册的模式ID) */
+    static mode = null;
+
+    /** @static @type {QTEModeRuntime|null} 当前模式的运行时实例 */
+    static runtime = null;
+    
+    /** @static @type {string} QTE 事件标题，用于战报显示 */
+    static title = ""; 
+
+    /** @static @type {string} 当前会话ID，回传结果时使用 */
+    static sessionId = null;
+
+    /** @static @type {object|null} 本人在本局代表的角色 { actorUuid, name, img }，未以 Token/角色指定时为 null */
+    static character = null;
+
+    /** @static @type {string} 发起者用户ID，结果回传给该用户 */
+    static senderId = null;
+
+    /** @static @type {boolean} 发起者是否开启了实时监控 */
+    static monitored = false;
+
+    /** @static @type {number} 上一次汇报进度的时间戳 */
+    static lastProgressReport = 0;
+
+    /** @static @type {boolean} 本局是否已结束（结果展示中），结束后不再响应 GM 控制 */
+    static ended = false;
+
+    /** @static @type {Array<object>} 等待开始的会话队列 { data, timer } */
+    static queue = [];
+
+    /** @static @type {number} 每一步评价的展示时长(毫秒)，由发起者的世界设置决定 */
+    static feedbackDelay = DEFAULT_CONFIG.feedbackDelay;
+
+    /** @static @type {number} 结算画面的停留时长(毫秒) */
+    static resultDelay = DEFAULT_CONFIG.resultDelay;
+
+    /** @static @type {number} 客户端设置的界面缩放倍率 */
+    static scale = 1;
+
+    /** @static @type {object} 本局生效的无障碍配置 */
+    static profile = { ...DEFAULT_PROFILE };
+
+    // ======================= 暂停与计时 =======================
+
+    /** @static @type {number} 暂停开始的真实时间戳，0 表示未暂停 */
+    static pausedAt = 0;
+
+    /** @static @type {number} 本局累计暂停的毫秒数 */
+    static pausedTotal = 0;
+
+    /** @static @type {Map<number, object>} 可暂停的定时任务 { callback, due, handle } */
+    static timers = new Map();
+
+    /** @static @type {number} 下一个定时任务的ID */
+    static nextTimerId = 1;
+
+    /** @static @type {Function} 暂停期间拦截输入的处理函数引用 */
+    static boundBlockInput = null;
+
+    // ======================= 核心入口方法 =======================
+
+    /**
+     * 客户端接收 Socket 信号的统一入口
+     * 
+     * 处理服务器发送的 QTE 开始指令，初始化对应模式
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据
+     */
+    static startSession(data) {
+        // 权限检查：如果是广播模式且 GM 不参与，则忽略
+        if (game.user.isGM && !data.gmPlay) return;
+        
+        // 防重复触发检查
+        if (data.sessionId === QTEOverlay.sessionId && QTEOverlay.isActive) return;
+        if (QTEOverlay.queue.some(entry => entry.data.sessionId === data.sessionId)) return;
+
+        // 正在进行其他 QTE 时排队或打断
+        if (QTEOverlay.isActive) {
+            QTEOverlay.enqueueSession(data);
+            return;
+        }
+        
+        // 初始化通用状态
+        QTEOverlay.isActive = true;
+        QTEOverlay.mode = data.mode;
+        QTEOverlay.title = data.title || ""; 
+        QTEOverlay.sessionId = data.sessionId;
+        QTEOverlay.character = data.characters?.[game.user.id] ?? null;
+        QTEOverlay.senderId = data.senderId;
+        QTEOverlay.monitored = !!data.monitor;
+        QTEOverlay.lastProgressReport = 0;
+        QTEOverlay.ended = false;
+        QTEOverlay.pausedAt = 0;
+        QTEOverlay.pausedTotal = 0;
+        QTEOverlay.timers.clear();
+        QTEOverlay.feedbackDelay = data.feedbackDelay ?? DEFAULT_CONFIG.feedbackDelay;
+        QTEOverlay.resultDelay = data.resultDelay ?? DEFAULT_CONFIG.resultDelay;
+        QTEOverlay.profile = VisualQTE.getProfile();
+        QTEOverlay.applyClientSettings();
+        QTEOverlay.reportProgress({});
+
+        // 按本人的无障碍配置放宽时间参数
+        data = QTEOverlay.applyProfile(data);
+
+        // 等到统一开始时间（可带倒计时）再进入具体模式
+        QTEOverlay.scheduleStart(data);
+    }
+
+    /**
+     * 按统一开始时间排程模式启动
+     * 
+     * 开始时间为服务器时间，用 game.time.serverTime 换算可抵消各客户端的时钟偏差；
+     * 网络延迟较大的客户端会看到已经走过一部分的倒计时，但仍在同一时刻开始
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据
+     */
+    static scheduleStart(data) {
+        const wait = Math.max(0, data.startAt - game.time.serverTime);
+
+        // 1. 倒计时数字：每秒显示一次，延迟进入的客户端从当前剩余秒数开始
+        if (data.countdown > 0 && wait > 0) {
+            $('body').append('<div id="qte-countdown"><span class="qte-countdown-number"></span></div>');
+            for (let n = Math.min(data.countdown, Math.ceil(wait / 1000)); n >= 1; n--) {
+                this.schedule(() => this.showCountdown(n), Math.max(0, wait - n * 1000));
+            }
+        }
+
+        // 2. 到点显示 GO 并启动模式
+        this.schedule(() => {
+            if ($('#qte-countdown').length) {
+                this.showCountdown("GO!");
+                setTimeout(() => $('#qte-countdown').remove(), 600);
+            }
+            this.launchMode(data);
+        }, wait);
+    }
+
+    /**
+     * 显示一个倒计时数字
+     * 
+     * @static
+     * @param {number|string} value - 显示的数字或文本
+     */
+    static showCountdown(value) {
+        const el = $('.qte-countdown-number');
+        el.text(value).removeClass('pop');
+        void el[0]?.offsetWidth; // 强制重绘，重新播放弹出动画
+        el.addClass('pop');
+    }
+
+    /**
+     * 进入具体的游戏模式
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据
+     */
+    static launchMode(data) {
+        Hooks.callAll(HOOKS.SESSION_START, data);
+
+        // 由注册表中的模式定义创建运行时并启动
+        const mode = VisualQTE.getMode(data.mode);
+        if (!mode) {
+            console.error(`${MODULE_ID} | 未知的 QTE 模式: ${data.mode}`);
+            this.stopActivity();
+            this.dismissOverlay();
+            return;
+        }
+        this.runtime = new mode.runtime(data);
+        this.runtime.start();
+    }
+
+    // ======================================================================
+    // 区域 A: GM 控制 (暂停 / 恢复 / 中止)
+    // ======================================================================
+
+    /**
+     * 接收 GM 的控制指令 (Socket 回调)
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @param {string} action - 'pause' | 'resume' | 'abort'
+     */
+    static controlSession(sessionId, action) {
+        if (action === 'abort' && QTEOverlay.dropQueued(sessionId)) return;
+        if (!QTEOverlay.isActive || QTEOverlay.ended || sessionId !== QTEOverlay.sessionId) return;
+
+        if (action === 'pause') QTEOverlay.pauseSession();
+        else if (action === 'resume') QTEOverlay.resumeSession();
+        else if (action === 'abort') QTEOverlay.abortSession();
+    }
+
+    /**
+     * 暂停当前 QTE
+     * 
+     * 冻结本局时钟与定时任务，暂停 CSS 动画并拦截输入；
+     * 按住类的输入由运行时的 pause() 作废
+     * 
+     * @static
+     */
+    static pauseSession() {
+        if (this.pausedAt) return;
+        this.pausedAt = Date.now();
+
+        // 1. 冻结定时任务（保留到期时间，恢复时重新排程）
+        for (const timer of this.timers.values()) clearTimeout(timer.handle);
+
+        // 2. 拦截 QTE 输入并显示暂停提示
+        this.boundBlockInput = (e) => {
+            if (!e.type.startsWith('key') && !e.target.closest?.('#qte-overlay')) return;
+            e.preventDefault();
+            e.stopPropagation();
+        };
+        for (const type of ['keydown', 'keyup', 'pointerdown', 'click']) {
+            document.addEventListener(type, this.boundBlockInput, true);
+        }
+        document.body.classList.add('qte-paused');
+        $('body').append('<div id="qte-paused-banner"><i class="fas fa-pause"></i> GM 已暂停</div>');
+
+        // 3. 通知运行时（作废按住中的输入等）
+        this.runtime?.pause();
+    }
+
+    /**
+     * 从暂停处恢复当前 QTE
+     * 
+     * @static
+     */
+    static resumeSession() {
+        if (!this.pausedAt) return;
+        this.releasePause();
+
+        // 以剩余时长重新排程定时任务
+        for (const timer of this.timers.values()) {
+            timer.handle = setTimeout(() => this.runScheduled(timer.id), timer.due - this.now());
+        }
+        this.runtime?.resume();
+    }
+
+    /**
+     * 解除暂停状态
+     * 
+     * 累计暂停时长，移除输入拦截与暂停提示
+     * 
+     * @static
+     */
+    static releasePause() {
+        if (!this.pausedAt) return;
+        this.pausedTotal += Date.now() - this.pausedAt;
+        this.pausedAt = 0;
+
+        for (const type of ['keydown', 'keyup', 'pointerdown', 'click']) {
+            document.removeEventListener(type, this.boundBlockInput, true);
+        }
+        document.body.classList.remove('qte-paused');
+        $('#qte-paused-banner').remove();
+    }
+
+    /**
+     * 中止当前 QTE
+     * 
+     * 停止所有循环、定时任务与监听，显示中止提示后移除UI
+     * 不发送战报也不回传结果，结果由发起者统一记为 'aborted'
+     * 
+     * @static
+     */
+    static abortSession() {
+        // 1. 停止所有循环、定时任务与监听（停止会清空模式，先行记录）
+        const mode = this.mode;
+        this.stopActivity();
+        Hooks.callAll(HOOKS.SESSION_ABORTED, { sessionId: this.sessionId, mode });
+
+        // 2. 显示中止提示
+        $('#qte-result-text')
+            .removeClass('result-perfect result-good result-bad')
+            .text(ABORT_TEXT)
+            .addClass('result-bad show');
+
+        // 3. 延迟移除UI并重置状态
+        this.dismissOverlay();
+    }
+
+    /**
+     * 立即停止当前 QTE 的全部活动
+     * 
+     * 供中止与打断使用，不处理UI的移除
+     * 
+     * @static
+     */
+    static stopActivity() {
+        // 1. 停止倒计时、定时任务与运行时的循环和监听
+        this.releasePause();
+        this.clearScheduled();
+        $('#qte-countdown').remove();
+        this.runtime?.stop();
+
+        // 2. 清空模式状态，让残留的循环在下一帧自行退出
+        this.runtime = null;
+        this.mode = null;
+    }
+
+    // ======================================================================
+    // 区域 B: 会话队列
+    // ======================================================================
+
+    /**
+     * 正忙时收到新会话
+     * 
+     * 'interrupt' 优先级会立即打断进行中的 QTE；其余情况加入队列并通知发起者，
+     * 排队超过 queueTimeout 的会话会过期
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据
+     */
+    static enqueueSession(data) {
+        const interrupt = data.priority === 'interrupt';
+
+        // 当前 QTE 仍在进行中：直接打断并开始新会话
+        if (interrupt && !this.ended) {
+            this.interruptSession();
+            this.startSession(data);
+            return;
+        }
+
+        // 加入队列（打断优先级排在最前），到期未开始则过期
+        const entry = { data, timer: null };
+        if (data.queueTimeout > 0) {
+            entry.timer = setTimeout(() => this.expireQueued(data.sessionId), data.queueTimeout);
+        }
+        if (interrupt) this.queue.unshift(entry);
+        else this.queue.push(entry);
+
+        // 当前 QTE 已在结算中时很快就会轮到，无需提醒
+        if (this.ended) return;
+        qteSocket.executeAsUser("reportQTEBusy", data.senderId, data.sessionId, this.title || this.mode)
+            .catch(err => console.warn(`${MODULE_ID} | 排队通知失败:`, err));
+    }
+
+    /**
+     * 被更高优先级的会话打断
+     * 
+     * 向原发起者回传 'interrupted' 结果后立即移除UI
+     * 
+     * @static
+     */
+    static interruptSession() {
+        // 先构建结果，停止活动会清空模式与进度状态
+        const result = this.buildResult({ status: 'interrupted', success: false, endReason: 'interrupted' });
+        this.stopActivity();
+        this.reportResult(result);
+        $('#qte-overlay').remove();
+        this.isActive = false;
+    }
+
+    /**
+     * 从队列中移除会话
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @returns {boolean} 该会话是否在队列中
+     */
+    static dropQueued(sessionId) {
+        const index = this.queue.findIndex(entry => entry.data.sessionId === sessionId);
+        if (index < 0) return false;
+
+        clearTimeout(this.queue[index].timer);
+        this.queue.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * 排队过久的会话过期
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     */
+    static expireQueued(sessionId) {
+        const entry = this.queue.find(e => e.data.sessionId === sessionId);
+        if (!entry || !this.dropQueued(sessionId)) return;
+
+        const { data } = entry;
+        qteSocket.executeAsUser("reportQTEResult", data.senderId, {
+            sessionId,
+            userId: game.user.id,
+            userName: game.user.name,
+            ...VisualQTE.characterFields(data, game.user.id),
+            mode: data.mode,
+            title: data.title,
+            status: 'expired',
+            success: false
+        }).catch(err => console.warn(`${MODULE_ID} | 结果回传失败:`, err));
+    }
+
+    /**
+     * 结束当前会话并开始队列中的下一个
+     * 
+     * @static
+     */
+    static deactivate() {
+        this.isActive = false;
+        this.runtime = null;
+
+        const entry = this.queue.shift();
+        if (!entry) return;
+        clearTimeout(entry.timer);
+
+        // 原定的开始时间早已过去，排队的会话在本地重新倒计时，并通知发起者恢复等待超时
+        const startAt = game.time.serverTime + entry.data.countdown * 1000;
+        this.startSession({ ...entry.data, startAt });
+        qteSocket.executeAsUser("reportQTEStarted", entry.data.senderId, entry.data.sessionId)
+            .catch(err => console.warn(`${MODULE_ID} | 开始通知失败:`, err));
+    }
+
+    // ======================================================================
+    // 通用结算辅助函数
+    // ======================================================================
+
+    /**
+     * 本局时钟
+     * 
+     * 扣除暂停时长后的时间戳；暂停期间停在暂停那一刻，
+     * 因此所有基于它计算的倒计时、衰减与判定都会随暂停冻结
+     * 
+     * @static
+     * @returns {number} 毫秒时间戳
+     */
+    static now() {
+        return (this.pausedAt || Date.now()) - this.pausedTotal;
+    }
+
+    /**
+     * 排程一个可暂停的定时任务
+     * 
+     * 到期时间按本局时钟记录，暂停期间排程的任务会在恢复后才开始计时
+     * 
+     * @static
+     * @param {Function} callback - 到期回调
+     * @param {number} delay - 延迟(毫秒)
+     * @returns {number} 任务ID，用于 cancelScheduled
+     */
+    static schedule(callback, delay) {
+        const id = this.nextTimerId++;
+        const timer = { id, callback, due: this.now() + delay, handle: null };
+        if (!this.pausedAt) timer.handle = setTimeout(() => this.runScheduled(id), delay);
+        this.timers.set(id, timer);
+        return id;
+    }
+
+    /**
+     * 执行到期的定时任务
+     * 
+     * @static
+     * @param {number} id - 任务ID
+     */
+    static runScheduled(id) {
+        const timer = this.timers.get(id);
+        if (!timer) return;
+        this.timers.delete(id);
+        timer.callback();
+    }
+
+    /**
+     * 取消一个定时任务
+     * 
+     * @static
+     * @param {number} id - 任务ID
+     */
+    static cancelScheduled(id) {
+        clearTimeout(this.timers.get(id)?.handle);
+        this.timers.delete(id);
+    }
+
+    /**
+     * 取消全部定时任务
+     * 
+     * @static
+     */
+    static clearScheduled() {
+        for (const timer of this.timers.values()) clearTimeout(timer.handle);
+        this.timers.clear();
+    }
+
+    /**
+     * 结束单屏玩法的收尾处理
+     * 
+     * 在结果展示期间拦截按键，随后淡出并移除UI、重置活跃状态
+     * 
+     * @static
+     */
+    static dismissOverlay() {
+        this.ended = true;
+
+        // --- 安全拦截器：防止QTE结束后按键干扰游戏 ---
+        const blocker = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        };
+        document.addEventListener('keydown', blocker, true);
+        
+        // 结算画面停留结束后移除拦截器（与UI消失时间同步）
+        setTimeout(() => {
+            document.removeEventListener('keydown', blocker, true);
+        }, this.resultDelay);
+
+        // 延迟移除UI并重置状态
+        setTimeout(() => {
+            $('#qte-overlay').removeClass('active');
+            setTimeout(() => {
+                $('#qte-overlay').remove();
+                this.deactivate();
+            }, 300);
+        }, this.resultDelay);
+    }
+
+    /**
+     * 按评价等级统计步骤结果
+     * 
+     * 多级评价规则：失误比例不超过 30% 视为成功；
+     * 无失误为全部成功，全部完美为完美达成
+     * 
+     * @static
+     * @param {Array<object>} steps - 步骤记录，需包含 rating 字段
+     * @returns {{totals: object, grade: string, success: boolean}} 统计结果
+     *          grade: 'perfect'(完美达成) | 'clear'(全部成功) | 'pass'(成功) | 'fail'(失败)
+     */
+    static gradeSteps(steps) {
+        const totals = { perfect: 0, good: 0, bad: 0 };
+        steps.forEach(step => totals[step.rating]++);
+
+        const failRatio = steps.length ? totals.bad / steps.length : 1;
+        let grade = 'fail';
+        if (failRatio <= 0.3) {
+            if (totals.bad > 0) grade = 'pass';
+            else grade = totals.perfect === steps.length ? 'perfect' : 'clear';
+        }
+
+        return { totals, grade, success: grade !== 'fail' };
+    }
+
+    /**
+     * 构建结果对象
+     * 
+     * 补全会话与玩家信息，作为战报标记与回传数据的统一格式
+     * 
+     * @static
+     * @param {object} details - 模式相关的结果字段
+     * @returns {QTEResult} 完整的结果对象
+     */
+    static buildResult(details) {
+        const result = {
+            sessionId: this.sessionId,
+            userId: game.user.id,
+            userName: game.user.name,
+            ...(this.character ? { actorUuid: this.character.actorUuid, actorName: this.character.name } : {}),
+            mode: this.mode,
+            title: this.title,
+            status: 'completed',
+            ...details
+        };
+
+        // 记录生效中的无障碍配置，战报中会注明
+        if (!foundry.utils.isEmpty(foundry.utils.diffObject(DEFAULT_PROFILE, this.profile))) {
+            result.accessibility = { ...this.profile };
+        }
+        return result;
+    }
+
+    /**
+     * 发送聊天战报
+     * 
+     * 结构化结果保存在消息的 flags 中，便于其他模块与宏读取
+     * 
+     * @static
+     * @param {QTEResult} result - 结果对象
+     */
+    static async postChatCard(result) {
+        const actor = result.actorUuid ? fromUuidSync(result.actorUuid) : null;
+        return VisualQTE.renderChatCard(result)
+            .then(content => ChatMessage.create({
+                user: game.user.id,
+                speaker: actor ? ChatMessage.getSpeaker({ actor }) : undefined,
+                content,
+                flags: { [MODULE_ID]: result }
+            }))
+            .catch(err => console.warn(`${MODULE_ID} | 发送战报失败:`, err));
+    }
+
+    /**
+     * 汇报实时进度辅助函数
+     * 
+     * 仅在发起者开启实时监控时发送；高频更新可开启节流
+     * 
+     * @static
+     * @param {object} update - 进度字段，如 { step, total, rating, progress, remaining }
+     * @param {boolean} [throttle=false] - 是否按 MONITOR_THROTTLE 节流
+     */
+    static reportProgress(update, throttle = false) {
+        if (!qteSocket || !this.monitored || !this.senderId) return;
+
+        const now = Date.now();
+        if (throttle && now - this.lastProgressReport < MONITOR_THROTTLE) return;
+        this.lastProgressReport = now;
+
+        qteSocket.executeAsUser("reportQTEProgress", this.senderId, this.sessionId, update)
+            .catch(err => console.warn(`${MODULE_ID} | 进度汇报失败:`, err));
+    }
+
+    /**
+     * 回传结果辅助函数
+     * 
+     * 通过 Socket 将结果发送给 QTE 的发起者
+     * 
+     * @static
+     * @param {QTEResult} result - 结果对象
+     */
+    static reportResult(result) {
+        if (!qteSocket || !this.senderId) return;
+
+        qteSocket.executeAsUser("reportQTEResult", this.senderId, result)
+            .catch(err => console.warn(`${MODULE_ID} | 结果回传失败:`, err));
+    }
+
+    /**
+     * 播放音效辅助函数
+     * 
+     * 根据评价等级播放对应的音效反馈
+     * 使用 Foundry VTT 的音频系统
+     * 
+     * @static
+     * @param {string} cssClass - 评价对应的CSS类名
+     */
+    static playSound(cssClass) {
+        let src = SOUNDS.BAD; // 默认失误音效
+        if (cssClass === 'result-perfect') src = SOUNDS.PERFECT;
+        else if (cssClass === 'result-good') src = SOUNDS.GOOD;
+        
+        // 使用 Foundry 音频系统播放（音量取自客户端设置）
+        const volume = game.settings.get(MODULE_ID, "volume");
+        foundry.audio.AudioHelper.play({src: src, volume, loop: false}, false);
+    }
+
+    /**
+     * 应用客户端显示设置
+     * 
+     * 界面缩放写入 CSS 变量 --qte-scale，减少动效通过 body 上的类名关闭装饰性动画
+     * 
+     * @static
+     */
+    static applyClientSettings() {
+        const { profile } = QTEOverlay;
+        QTEOverlay.scale = game.settings.get(MODULE_ID, "overlayScale");
+        document.body.style.setProperty('--qte-scale', QTEOverlay.scale);
+        document.body.classList.toggle('qte-reduced-motion', game.settings.get(MODULE_ID, "reducedMotion") || profile.reduceEffects);
+        document.body.classList.toggle('qte-colorblind', profile.colorBlind);
+        document.body.classList.toggle('qte-text-labels', profile.textLabels);
+    }
+
+    /**
+     * 按无障碍配置的时间倍率调整本局参数
+     * 
+     * 具体调整哪些参数由模式定义的 scaleTiming 决定
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据
+     * @returns {object} 调整后的数据副本（倍率为 1 或模式不支持时原样返回）
+     */
+    static applyProfile(data) {
+        const k = this.profile.timingScale;
+        const scaleTiming = VisualQTE.getMode(data.mode)?.scaleTiming;
+        if (!k || k === 1 || !scaleTiming) return data;
+
+        const scaled = foundry.utils.deepClone(data);
+        scaleTiming(scaled, k);
+        return scaled;
+    }
+}
+
+// ============================================================================
+// 5. GM 实时监控面板 (Application V2)
+// ============================================================================
+
+/**
+ * QTE 实时监控面板
+ * 
+ * GM 发起 QTE 后打开，实时列出每位参与者的状态与进度
+ * 会话数据保存在静态字段中，关闭后重新打开不会丢失
+ * 
+ * @extends {ApplicationV2}
+ */
+class QTEMonitor extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /**
+     * 应用默认配置
+     * @static
+     */
+    static DEFAULT_OPTIONS = {
+        id: "qte-monitor",                   // 唯一ID
+        classes: ["qte-monitor-window"],     // CSS 类名
+        window: {
+            icon: "fas fa-desktop",          // 窗口图标
+            title: "QTE 实时监控",           // 窗口标题
+            resizable: true                  // 允许调整大小
+        },
+        position: {
+            width: 440,
+            height: "auto"
+        },
+        actions: {
+            clearFinished: QTEMonitor.onClearFinished,  // 清除已结束的会话
+            pauseSession: QTEMonitor.onPauseSession,    // 暂停会话
+            resumeSession: QTEMonitor.onResumeSession,  // 恢复会话
+            abortSession: QTEMonitor.onAbortSession     // 中止会话
+        }
+    };
+
+    /**
+     * 模板部件配置
+     * @static
+     */
+    static PARTS = {
+        monitor: {
+            template: TEMPLATES.MONITOR
+        }
+    };
+
+    /** @static @type {Map<string, object>} 被监控的会话，key 为会话ID */
+    static sessions = new Map();
+
+    /** @static @type {Array<string>} 尚未结束的参与者状态 */
+    static LIVE_STATUS = ['waiting', 'queued', 'playing'];
+
+    /** @static @type {QTEMonitor} 单例窗口 */
+    static instance = null;
+
+    /** @static @type {Function} 防抖后的重绘函数，避免高频进度导致频繁渲染 */
+    static refresh = foundry.utils.debounce(() => {
+        if (QTEMonitor.instance?.rendered) QTEMonitor.instance.render();
+    }, 100);
+
+    /**
+     * 开始监控一个会话
+     * 
+     * @static
+     * @param {object} data - QTE 配置数据
+     * @param {Array<string>} participants - 参与者用户ID列表
+     * @param {boolean} [open=true] - 是否立即打开面板
+     */
+    static track(data, participants, open = true) {
+        QTEMonitor.sessions.set(data.sessionId, {
+            sessionId: data.sessionId,
+            title: data.title,
+            mode: data.mode,
+            startedAt: Date.now(),
+            paused: false,
+            participants: Object.fromEntries(participants.map(userId => [userId, {
+                userId,
+                name: data.characters?.[userId]?.name ?? game.users.get(userId)?.name ?? userId,
+                status: 'waiting'
+            }]))
+        });
+
+        if (open) VisualQTE.openMonitor();
+        else QTEMonitor.refresh();
+    }
+
+    /**
+     * 标记会话的暂停状态
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @param {boolean} paused - 是否已暂停
+     */
+    static setPaused(sessionId, paused) {
+        const session = QTEMonitor.sessions.get(sessionId);
+        if (!session) return;
+        session.paused = paused;
+        QTEMonitor.refresh();
+    }
+
+    /**
+     * 更新某位参与者的状态
+     * 
+     * 已结束 (完成/超时/掉线) 的参与者不会被迟到的进度覆盖
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @param {string} userId - 用户ID
+     * @param {object} changes - 要合并的状态字段
+     */
+    static update(sessionId, userId, changes) {
+        const entry = QTEMonitor.sessions.get(sessionId)?.participants[userId];
+        if (!entry) return;
+        if (!QTEMonitor.isLive(entry) && QTEMonitor.LIVE_STATUS.includes(changes.status)) return;
+
+        Object.assign(entry, changes);
+        QTEMonitor.refresh();
+    }
+
+    /**
+     * 参与者是否尚未结束
+     * 
+     * @static
+     * @param {object} entry - 参与者状态
+     * @returns {boolean}
+     */
+    static isLive(entry) {
+        return QTEMonitor.LIVE_STATUS.includes(entry.status);
+    }
+
+    /**
+     * 将参与者的状态整理为一行描述文本
+     * 
+     * @static
+     * @param {object} entry - 参与者状态
+     * @returns {string} 描述文本
+     */
+    static describe(entry) {
+        if (entry.status === 'completed') return entry.success ? "成功" : "失败";
+        if (entry.status !== 'playing') return "";
+
+        const parts = [];
+        if (entry.total) parts.push(`第 ${entry.step ?? 0}/${entry.total} 步`);
+        if (entry.rating) parts.push(entry.rating);
+        if (entry.mistakes) parts.push(`失误 ${entry.mistakes}`);
+        if (entry.remaining !== undefined) parts.push(`剩余 ${entry.remaining.toFixed(1)}s`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * 准备数据上下文
+     * 
+     * 最新的会话排在最前
+     * 
+     * @param {object} options - 应用选项
+     * @returns {object} 模板数据上下文
+     */
+    async _prepareContext(options) {
+        const sessions = [...QTEMonitor.sessions.values()].reverse().map(session => {
+            const participants = Object.values(session.participants).map(entry => ({
+                ...entry,
+                statusText: MONITOR_STATUS[entry.status],
+                detail: QTEMonitor.describe(entry),
+                hasProgress: entry.status === 'playing' && entry.progress !== undefined
+            }));
+            return {
+                ...session,
+                participants,
+                finished: !participants.some(QTEMonitor.isLive)
+            };
+        });
+
+        return { sessions };
+    }
+
+    /**
+     * 关闭时释放单例，下次触发时重新创建
+     * 
+     * @param {object} options - 关闭选项
+     */
+    _onClose(options) {
+        super._onClose(options);
+        QTEMonitor.instance = null;
+    }
+
+    /**
+     * 清除所有已结束的会话
+     * 
+     * @static
+     */
+    static onClearFinished() {
+        for (const [sessionId, session] of QTEMonitor.sessions) {
+            const done = !Object.values(session.participants).some(QTEMonitor.isLive);
+            if (done) QTEMonitor.sessions.delete(sessionId);
+        }
+        QTEMonitor.refresh();
+    }
+
+    /**
+     * 暂停按钮回调
+     * 
+     * @static
+     * @param {PointerEvent} event - 点击事件
+     * @param {HTMLElement} target - 带有 data-session-id 的按钮
+     */
+    static onPauseSession(event, target) {
+        VisualQTE.pause(target.dataset.sessionId);
+    }
+
+    /**
+     * 恢复按钮回调
+     * 
+     * @static
+     * @param {PointerEvent} event - 点击事件
+     * @param {HTMLElement} target - 带有 data-session-id 的按钮
+     */
+    static onResumeSession(event, target) {
+        VisualQTE.resume(target.dataset.sessionId);
+    }
+
+    /**
+     * 中止按钮回调
+     * 
+     * @static
+     * @param {PointerEvent} event - 点击事件
+     * @param {HTMLElement} target - 带有 data-session-id 的按钮
+     */
+    static onAbortSession(event, target) {
+        VisualQTE.abort(target.dataset.sessionId);
+    }
+}
+
+// ============================================================================
+// 6. 默认参数设置菜单 (Application V2)
+// ============================================================================
+
+/**
+ * 默认参数设置窗口
+ * 
+ * 编辑世界级的默认参数，保存时只记录与出厂默认值不同的项
+ * 
+ * @extends {ApplicationV2}
+ */
+class QTESettingsConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /**
+     * 应用默认配置
+     * @static
+     */
+    static DEFAULT_OPTIONS = {
+        tag: "form",                           // 根元素标签
+        id: "qte-settings-config",             // 唯一ID
+        classes: ["qte-config-window"],        // 复用配置窗口样式
+        window: {
+            icon: "fas fa-sliders-h",          // 窗口图标
+            title: "QTE 默认参数",             // 窗口标题
+            resizable: true                    // 允许调整大小
+        },
+        position: {
+            width: 480,
+            height: 640
+        },
+        form: {
+            handler: QTESettingsConfig.formHandler,  // 表单提交处理器
+            closeOnSubmit: true                      // 提交后关闭窗口
+        },
+        actions: {
+            resetDefaults: QTESettingsConfig.onResetDefaults  // 恢复出厂默认值
+        }
+    };
+
+    /**
+     * 模板部件配置
+     * @static
+     */
+    static PARTS = {
+        form: {
+            template: TEMPLATES.SETTINGS
+        }
+    };
+
+    /**
+     * 可编辑的通用默认参数，按分组排列
+     * 各模式的参数分组由模式注册表生成，见 getGroups()
+     * @static
+     */
+    static COMMON_GROUPS = [
+        {
+            legend: "通用", fields: [
+                { name: 'mode', label: "默认模式", options: () => VisualQTE.getModeLabels() },
+                { name: 'gmPlay', label: "GM 参与" },
+                { name: 'countdown', label: "开场倒计时 (秒)", min: 0, max: 5 },
+                { name: 'startDelay', label: "开始提前量 (毫秒)", min: 0, max: 5000, step: 100 },
+                { name: 'queueTimeout', label: "排队过期 (毫秒)", min: 0, max: 120000, step: 1000 }
+            ]
+        },
+        {
+            legend: "反馈时长", fields: [
+                { name: 'feedbackDelay', label: "每步评价展示 (毫秒)", min: 200, max: 3000, step: 100 },
+                { name: 'resultDelay', label: "结算画面停留 (毫秒)", min: 500, max: 5000, step: 100 }
+            ]
+        }
+    ];
+
+    /**
+     * 获取全部参数分组
+     * 
+     * 通用分组之后为每个注册模式生成一组：使用模式定义的 settings，
+     * 未提供时列出 defaults 中的数值与开关参数
+     * 
+     * @static
+     * @returns {Array<object>} { legend, fields } 分组列表
+     */
+    static getGroups() {
+        const groups = [...QTESettingsConfig.COMMON_GROUPS];
+        for (const mode of VisualQTE.modes.values()) {
+            const fields = mode.settings ?? Object.entries(mode.defaults ?? {})
+                .filter(([, value]) => typeof value === 'number' || typeof value === 'boolean')
+                .map(([name]) => ({ name, label: name }));
+            if (fields.length) groups.push({ legend: mode.label, fields });
+        }
+        return groups;
+    }
+
+    /**
+     * 准备数据上下文
+     * 
+     * 为每个字段填入当前生效的值，并标注控件类型
+     * 
+     * @param {object} options - 应用选项
+     * @returns {object} 模板数据上下文
+     */
+    async _prepareContext(options) {
+        const factory = VisualQTE.getFactoryDefaults();
+        const defaults = VisualQTE.getDefaults();
+        const groups = QTESettingsConfig.getGroups().map(group => ({
+            legend: group.legend,
+            fields: group.fields.map(field => ({
+                ...field,
+                options: typeof field.options === 'function' ? field.options() : field.options,
+                value: defaults[field.name],
+                isSelect: !!field.options,
+                isCheckbox: typeof factory[field.name] === 'boolean'
+            }))
+        }));
+
+        return { groups };
+    }
+
+    /**
+     * 表单提交处理器
+     * 
+     * 只保存与出厂默认值不同的项，出厂默认值日后调整时未改动的项会随之更新；
+     * 不属于通用参数或任何注册模式的键会被忽略
+     * 
+     * @static
+     * @param {Event} event - 提交事件
+     * @param {HTMLFormElement} form - 表单元素
+     * @param {FormDataExtended} formData - 表单数据
+     */
+    static async formHandler(event, form, formData) {
+        const factory = VisualQTE.getFactoryDefaults();
+        const overrides = {};
+        for (const [key, value] of Object.entries(formData.object)) {
+            if (!(key in factory) || value === null || value === "") continue;
+            if (value !== factory[key]) overrides[key] = value;
+        }
+
+        await game.settings.set(MODULE_ID, "defaults", overrides);
+        ui.notifications.info("Visual-QTE | 默认参数已保存。");
+    }
+
+    /**
+     * 恢复出厂默认值
+     * 
+     * @static
+     */
+    static async onResetDefaults() {
+        await game.settings.set(MODULE_ID, "defaults", {});
+        this.render();
+    }
+}
+
+// ============================================================================
+// 7. 无障碍配置 (Application V2)
+// ============================================================================
+
+/**
+ * 无障碍配置窗口
+ * 
+ * 玩家编辑自己的配置；GM 可切换到任意玩家代为设置
+ * 配置保存在对应用户的 flags 中，各客户端开始 QTE 时读取本人的配置
+ * 
+ * @extends {ApplicationV2}
+ */
+class QTEAccessibilityConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /**
+     * 应用默认配置
+     * @static
+     */
+    static DEFAULT_OPTIONS = {
+        tag: "form",                           // 根元素标签
+        id: "qte-accessibility-config",        // 唯一ID
+        classes: ["qte-config-window"],        // 复用配置窗口样式
+        window: {
+            icon: "fas fa-universal-access",   // 窗口图标
+            title: "QTE 无障碍配置",           // 窗口标题
+            resizable: false                   // 禁止调整大小
+        },
+        position: {
+            width: 420
+        },
+        form: {
+            handler: QTEAccessibilityConfig.formHandler,  // 表单提交处理器
+            closeOnSubmit: true                           // 提交后关闭窗口
+        }
+    };
+
+    /**
+     * 模板部件配置
+     * @static
+     */
+    static PARTS = {
+        form: {
+            template: TEMPLATES.ACCESSIBILITY
+        }
+    };
+
+    /** @type {string} 正在编辑的用户ID */
+    userId = game.user.id;
+
+    /**
+     * 准备数据上下文
+     * 
+     * @param {object} options - 应用选项
+     * @returns {object} 模板数据上下文
+     */
+    async _prepareContext(options) {
+        // GM 可以选择任意玩家，玩家只能编辑自己
+        const users = game.user.isGM
+            ? Object.fromEntries(game.users.map(u => [u.id, u.name]))
+            : null;
+
+        return {
+            users,
+            userId: this.userId,
+            profile: VisualQTE.getProfile(this.userId)
+        };
+    }
+
+    /**
+     * 渲染后绑定玩家切换
+     * 
+     * @param {object} context - 模板数据上下文
+     * @param {object} options - 渲染选项
+     */
+    _onRender(context, options) {
+        $(this.element).find('select[name="userId"]').on('change', (ev) => {
+            this.userId = ev.target.value;
+            this.render();
+        });
+    }
+
+    /**
+     * 表单提交处理器
+     * 
+     * @static
+     * @param {Event} event - 提交事件
+     * @param {HTMLFormElement} form - 表单元素
+     * @param {FormDataExtended} formData - 表单数据
+     */
+    static async formHandler(event, form, formData) {
+        const data = formData.object;
+        const user = game.users.get(this.userId);
+        if (!user) return;
+
+        const timingScale = Number(data.timingScale);
+        if (!(timingScale >= 1 && timingScale <= 3)) {
+            ui.notifications.error("Visual-QTE | 时间倍率需在 1 到 3 之间。");
+            return;
+        }
+
+        await user.setFlag(MODULE_ID, "accessibility", {
+            timingScale,
+            reduceEffects: !!data.reduceEffects,
+            colorBlind: !!data.colorBlind,
+            textLabels: !!data.textLabels
+        });
+        ui.notifications.info(`Visual-QTE | 已保存 ${user.name} 的无障碍配置。`);
+    }
+}
+
+// ============================================================================
+// 8. 多阶段剧本编辑器 (Application V2)
+// ============================================================================
+
+/**
+ * 多阶段剧本编辑器
+ * 
+ * 以预设为阶段拼装剧本，为每个阶段设置成功/失败后的去向，
+ * 可保存到世界设置的剧本库，或直接以配置窗口中的目标运行
+ * 
+ * @extends {ApplicationV2}
+ */
+class QTEScenarioEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    /**
+     * 应用默认配置
+     * @static
+     */
+    static DEFAULT_OPTIONS = {
+        tag: "form",                           // 根元素标签
+        id: "qte-scenario-editor",             // 唯一ID
+        classes: ["qte-config-window"],        // 复用配置窗口样式
+        window: {
+            icon: "fas fa-diagram-project",    // 窗口图标
+            title: "QTE 多阶段剧本",           // 窗口标题
+            resizable: false                   // 禁止调整大小
+        },
+        position: {
+            width: 560,
+            height: "auto"
+        },
+        form: {
+            handler: QTEScenarioEditor.formHandler,  // 表单提交处理器（运行剧本）
+            closeOnSubmit: true                      // 运行后关闭窗口
+        },
+        actions: {
+            addStage: QTEScenarioEditor.onAddStage,             // 添加阶段
+            removeStage: QTEScenarioEditor.onRemoveStage,       // 移除阶段
+            saveScenario: QTEScenarioEditor.onSaveScenario,     // 保存剧本
+            deleteScenario: QTEScenarioEditor.onDeleteScenario  // 删除选中的剧本
+        }
+    };
+
+    /**
+     * 模板部件配置
+     * @static
+     */
+    static PARTS = {
+        form: {
+            template: TEMPLATES.SCENARIO_EDITOR
+        }
+    };
+
+    /**
+     * @param {object} [options] - 应用选项
+     * @param {object} [options.targets] - 运行剧本时共用的目标与通用参数
+     */
+    constructor({ targets, ...options } = {}) {
+        super(options);
+        this.targets = targets ?? {};
+    }
+
+    /** @type {string} 当前载入的剧本名称 */
+    name = "";
+
+    /** @type {object} 正在编辑的剧本 */
+    scenario = { title: "", pass: 'all', stages: [] };
+
+    /**
+     * 准备数据上下文
+     * 
+     * @param {object} options - 应用选项
+     * @returns {object} 模板数据上下文
+     */
+    async _prepareContext(options) {
+        const presetNames = Object.keys(VisualQTE.getPresets());
+        const presets = Object.fromEntries(presetNames.map(name => [name, name]));
+        const { stages } = this.scenario;
+
+        // 新剧本默认带一个阶段
+        if (stages.length === 0 && presetNames.length) stages.push(QTEScenarioEditor.newStage(presetNames[0]));
+
+        // 去向选项：下一阶段、胜利、失败，或跳到任意阶段
+        const branches = {
+            next: "下一阶段",
+            win: "胜利",
+            lose: "失败",
+            ...Object.fromEntries(stages.map((stage, i) => [stage.id, `跳到阶段 ${i + 1}`]))
+        };
+
+        return {
+            name: this.name,
+            scenario: this.scenario,
+            scenarios: Object.fromEntries(Object.keys(VisualQTE.getScenarios()).map(name => [name, name])),
+            presets,
+            hasPresets: presetNames.length > 0,
+            passOptions: { all: "全员成功", any: "任一成功", majority: "过半成功" },
+            stages: stages.map((stage, i) => ({ ...stage, number: i + 1, branches }))
+        };
+    }
+
+    /**
+     * 渲染后绑定剧本切换
+     * 
+     * @param {object} context - 模板数据上下文
+     * @param {object} options - 渲染选项
+     */
+    _onRender(context, options) {
+        $(this.element).find('select[name="saved"]').on('change', (ev) => {
+            this.name = ev.target.value;
+            this.scenario = VisualQTE.getScenarios()[this.name] ?? { title: "", pass: 'all', stages: [] };
+            this.render();
+        });
+    }
+
+    /**
+     * 创建一个新阶段
+     * 
+     * @static
+     * @param {string} preset - 使用的预设名称
+     * @returns {object} 阶段定义
+     */
+    static newStage(preset) {
+        return { id: foundry.utils.randomID(8), preset, onSuccess: 'next', onFail: 'lose' };
+    }
+
+    /**
+     * 将表单中的修改同步到正在编辑的剧本
+     * 
+     * 添加/移除阶段会重新渲染，需要先保留未提交的修改
+     */
+    readForm() {
+        const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+        this.scenario.title = data.title ?? "";
+        this.scenario.pass = data.pass ?? 'all';
+        this.scenario.stages = this.scenario.stages.map((stage, i) => ({ ...stage, ...(data.stages?.[i] ?? {}) }));
+    }
+
+    /**
+     * 添加阶段
+     * 
+     * @static
+     */
+    static onAddStage() {
+        this.readForm();
+        const [preset] = Object.keys(VisualQTE.getPresets());
+        this.scenario.stages.push(QTEScenarioEditor.newStage(preset));
+        this.render();
+    }
+
+    /**
+     * 移除阶段，指向它的去向改回默认值
+     * 
+     * @static
+     * @param {Event} event - 点击事件
+     * @param {HTMLElement} target - 被点击的按钮
+     */
+    static onRemoveStage(event, target) {
+        this.readForm();
+        const [removed] = this.scenario.stages.splice(Number(target.dataset.index), 1);
+        for (const stage of this.scenario.stages) {
+            if (stage.onSuccess === removed?.id) stage.onSuccess = 'next';
+            if (stage.onFail === removed?.id) stage.onFail = 'lose';
+        }
+        this.render();
+    }
+
+    /**
+     * 保存剧本
+     * 
+     * @static
+     */
+    static async onSaveScenario() {
+        this.readForm();
+        const name = await foundry.applications.api.DialogV2.prompt({
+            window: { title: "保存剧本" },
+            content: `<input type="text" name="scenarioName" value="${Handlebars.escapeExpression(this.name || this.scenario.title)}" placeholder="剧本名称" autofocus>`,
+            ok: {
+                label: "保存",
+                callback: (event, button) => button.form.elements.scenarioName.value
+            },
+            rejectClose: false
+        });
+        if (name === null || name === undefined) return;
+
+        await VisualQTE.saveScenario(name, this.scenario);
+        this.name = name.trim();
+        this.render();
+    }
+
+    /**
+     * 删除当前载入的剧本
+     * 
+     * @static
+     */
+    static async onDeleteScenario() {
+        if (!this.name) {
+            ui.notifications.error("Visual-QTE | 请先选择要删除的剧本。");
+            return;
+        }
+
+        await VisualQTE.deleteScenario(this.name);
+        this.name = "";
+        this.render();
+    }
+
+    /**
+     * 表单提交处理器：以配置窗口中的目标运行剧本
+     * 
+     * @static
+     * @param {Event} event - 提交事件
+     * @param {HTMLFormElement} form - 表单元素
+     * @param {FormDataExtended} formData - 表单数据
+     */
+    static async formHandler(event, form, formData) {
+        this.readForm();
+        if (this.scenario.stages.length === 0) {
+            ui.notifications.error("Visual-QTE | 剧本至少需要一个阶段。");
+            return;
+        }
+
+        VisualQTE.runScenario({ ...this.targets, ...this.scenario });
+    }
+}
+
+// ============================================================================
+// 9. 场景区域行为
+// ============================================================================
+
+/**
+ * 区域行为「触发 Visual QTE」
+ * 
+ * Token 进入/离开区域或在区域内开始回合时，向该 Token 的拥有者发送 QTE
+ * （NPC 由 GM 代为参与），陷阱与危险地形无需 GM 手动操作
+ * 
+ * 区域事件会在所有客户端上触发，只由在线的 GM（没有 GM 时为触发事件的玩家）发起 QTE
+ * 
+ * @extends {foundry.data.regionBehaviors.RegionBehaviorType}
+ */
+class QTERegionBehavior extends foundry.data.regionBehaviors.RegionBehaviorType {
+
+    /**
+     * 行为配置字段
+     * @static
+     * @returns {object} 数据结构
+     */
+    static defineSchema() {
+        const fields = foundry.data.fields;
+        const { TOKEN_ENTER, TOKEN_EXIT, TOKEN_TURN_START, TOKEN_TURN_END, TOKEN_ROUND_START } = CONST.REGION_EVENTS;
+
+        return {
+            events: this._createEventsField({
+                events: [TOKEN_ENTER, TOKEN_EXIT, TOKEN_TURN_START, TOKEN_TURN_END, TOKEN_ROUND_START],
+                initial: [TOKEN_ENTER]
+            }),
+            preset: new fields.StringField({
+                blank: true,
+                initial: "",
+                choices: () => Object.fromEntries(Object.keys(VisualQTE.getPresets()).map(name => [name, name])),
+                label: "预设",
+                hint: "选择预设后忽略下方的模式。"
+            }),
+            mode: new fields.StringField({
+                required: true,
+                initial: 'sequence',
+                choices: () => VisualQTE.getModeLabels(),
+                label: "模式",
+                hint: "未选择预设时使用的模式，参数取世界默认值。"
+            }),
+            title: new fields.StringField({
+                blank: true,
+                initial: "",
+                label: "标题",
+                hint: "留空时使用预设或默认标题。"
+            }),
+            parameters: new fields.JSONField({
+                required: false,
+                nullable: true,
+                initial: null,
+                label: "额外参数",
+                hint: "JSON 格式的 trigger() 参数，覆盖预设中的同名项，例如 {\"mashDecay\": 40}。"
+            }),
+            once: new fields.BooleanField({
+                initial: false,
+                label: "仅触发一次",
+                hint: "触发后自动停用此行为，适合一次性陷阱。"
+            })
+        };
+    }
+
+    /**
+     * 处理区域事件
+     * 
+     * @param {RegionEvent} event - 区域事件
+     */
+    async _handleRegionEvent(event) {
+        const runner = game.users.activeGM ?? event.user;
+        if (!runner?.isSelf) return;
+
+        const token = event.data.token;
+        if (!token?.actor) return;
+
+        if (this.once) await this.parent.update({ disabled: true });
+
+        const parameters = foundry.utils.getType(this.parameters) === 'Object' ? this.parameters : {};
+        VisualQTE.trigger({
+            ...(this.preset ? { preset: this.preset } : { mode: this.mode }),
+            ...(this.title ? { title: this.title } : {}),
+            ...parameters,
+            tokens: [token]
+        });
+    }
+}
+
+// ============================================================================
+// 10. 模式注册表 (Mode Registry)
+// ============================================================================
+
+/**
+ * 模式运行时基类
+ * 
+ * 每局 QTE 在参与者客户端上创建一个实例，倒计时结束后调用 start()。
+ * 提供可暂停的时钟与定时任务、自动清理的监听与动画帧、界面创建与统一的结算流程；
+ * 暂停、中止与打断由 QTEOverlay 统一处理后再通知运行时
+ * 
+ * @example
+ * class TapRuntime extends VisualQTE.ModeRuntime {
+ *     start() {
+ *         this.createOverlay(`<div class="qte-mash-prompt">按 F!</div>`);
+ *         this.listen(document, 'keydown', (e) => {
+ *             if (e.code === 'KeyF') this.finish({ success: true, endReason: 'hit' }, { text: "命中!" });
+ *         });
+ *         this.schedule(() => this.finish({ success: false, endReason: 'timeout' }, { text: "太慢了" }), 3000);
+ *     }
+ * }
+ */
+class QTEModeRuntime {
+    /**
+     * @param {object} data - 本人收到的 QTE 配置数据（已合并默认值并生成挑战内容）
+     */
+    constructor(data) {
+        /** @type {object} QTE 配置数据 */
+        this.data = data;
+
+        /** @type {Array<object>} 由 listen() 绑定的监听 { target, type, handler } */
+        this.listeners = [];
+
+        /** @type {number} 由 requestFrame() 排程的动画帧ID */
+        this.frameId = null;
+    }
+
+    /**
+     * 开始游戏：创建界面、绑定输入并开始计时
+     * 子类必须实现
+     */
+    start() {
+        throw new Error(`${MODULE_ID} | 模式「${this.data.mode}」的运行时没有实现 start()。`);
+    }
+
+    /**
+     * GM 暂停时调用
+     * schedule() 排程的任务与 now() 时钟会自动冻结，QTE 输入也已被拦截；
+     * 按住类的输入在暂停期间无法感知松开，应在此作废
+     */
+    pause() {}
+
+    /**
+     * GM 恢复时调用
+     */
+    resume() {}
+
+    /**
+     * 中止、打断或结算时调用：停止动画帧、移除监听并取消定时任务
+     * 子类覆盖时需调用 super.stop()；界面由框架移除
+     */
+    stop() {
+        cancelAnimationFrame(this.frameId);
+        this.clearListeners();
+        QTEOverlay.clearScheduled();
+    }
+
+    /** @type {boolean} 本运行时是否仍在进行中（未结算、未被中止或打断） */
+    get active() {
+        return QTEOverlay.runtime === this && !QTEOverlay.ended;
+    }
+
+    /** @type {number} 本人无障碍配置中的时间倍率，模式未提供 scaleTiming 时，限时类参数应乘以该值 */
+    get timingScale() {
+        return QTEOverlay.profile.timingScale || 1;
+    }
+
+    /** @type {boolean} 当前是否处于暂停中 */
+    get paused() {
+        return QTEOverlay.pausedAt > 0;
+    }
+
+    /**
+     * 本局时钟（扣除暂停时长）
+     * 
+     * @returns {number} 毫秒时间戳
+     */
+    now() {
+        return QTEOverlay.now();
+    }
+
+    /**
+     * 排程一个可暂停的定时任务，结算或中止时自动取消
+     * 
+     * @param {Function} callback - 到期回调
+     * @param {number} delay - 延迟(毫秒)
+     * @returns {number} 任务ID，用于 cancelScheduled
+     */
+    schedule(callback, delay) {
+        return QTEOverlay.schedule(callback, delay);
+    }
+
+    /**
+     * 取消一个定时任务
+     * 
+     * @param {number} id - 任务ID
+     */
+    cancelScheduled(id) {
+        QTEOverlay.cancelScheduled(id);
+    }
+
+    /**
+     * 绑定事件监听，结算或中止时自动移除
+     * 
+     * @param {EventTarget} target - 监听对象，如 document 或界面元素
+     * @param {string} type - 事件类型
+     * @param {Function} handler - 处理函数
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    /**
+     * 移除全部由 listen() 绑定的监听
+     */
+    clearListeners() {
+        for (const { target, type, handler } of this.listeners) target.removeEventListener(type, handler);
+        this.listeners = [];
+    }
+
+    /**
+     * 在下一帧执行回调，运行时结束后不再执行
+     * 
+     * @param {Function} callback - 帧回调，循环中在末尾再次调用 requestFrame()
+     */
+    requestFrame(callback) {
+        this.frameId = requestAnimationFrame(() => {
+            if (this.active) callback();
+        });
+    }
+
+    /**
+     * 向发起者汇报实时进度（仅在开启实时监控时发送）
+     * 
+     * @param {object} update - 进度字段，如 { step, total, progress, remaining }
+     * @param {boolean} [throttle=false] - 是否节流
+     */
+    reportProgress(update, throttle = false) {
+        QTEOverlay.reportProgress(update, throttle);
+    }
+
+    /**
+     * 挂载完整的 #qte-overlay 界面并淡入
+     * 
+     * 界面需自带 #qte-result-text 结果文本区域
+     * 
+     * @param {string} html - 以 #qte-overlay 为根的界面
+     */
+    mountOverlay(html) {
+        $('body').append(html);
+        requestAnimationFrame(() => $('#qte-overlay').addClass('active'));
+    }
+
+    /**
+     * 创建 QTE 界面并淡入
+     * 
+     * 内容放在居中的容器中，容器末尾自带结果文本区域
+     * 
+     * @param {string} html - 界面内容
+     * @returns {HTMLElement} #qte-overlay 元素
+     */
+    createOverlay(html) {
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div class="qte-mode-wrapper">
+                    ${html}
+
+                    <!-- 结果显示区域 -->
+                    <div id="qte-result-text" class="qte-result"></div>
+                </div>
+            </div>
+        `);
+        return document.getElementById('qte-overlay');
+    }
+
+    /**
+     * 在结果文本区域显示评价
+     * 
+     * @param {string} text - 结果文本
+     * @param {string} cssClass - 'result-perfect' | 'result-good' | 'result-bad'
+     * @param {boolean} [sound=true] - 是否播放对应音效
+     */
+    showResult(text, cssClass, sound = true) {
+        $('#qte-result-text').text(text).addClass(`${cssClass} show`);
+        if (sound) QTEOverlay.playSound(cssClass);
+    }
+
+    /**
+     * 结算本局
+     * 
+     * 停止运行时、显示结果文本并播放音效，随后发送战报、回传结果并移除界面。
+     * 重复调用或在中止后调用会被忽略
+     * 
+     * @param {object} details - 模式相关的结果字段，至少包含 success
+     * @param {object} [display] - 结果展示
+     * @param {string} [display.text=""] - 结果文本
+     * @param {string} [display.cssClass] - 'result-perfect' | 'result-good' | 'result-bad'，缺省按 success 决定
+     * @param {boolean} [display.sound=true] - 是否播放结果音效
+     * @param {boolean} [display.dismiss=true] - false 时不展示结果、立即结束本局（界面已由运行时移除）
+     */
+    finish(details, { text = "", cssClass, sound = true, dismiss = true } = {}) {
+        if (!this.active) return;
+        this.stop();
+
+        if (dismiss) this.showResult(text, cssClass ?? (details.success ? 'result-good' : 'result-bad'), sound);
+
+        const result = QTEOverlay.buildResult(details);
+        QTEOverlay.postChatCard(result);
+        QTEOverlay.reportResult(result);
+
+        if (dismiss) QTEOverlay.dismissOverlay();
+        else QTEOverlay.deactivate();
+    }
+}
+
+/**
+ * 逐步判定的运行时基类
+ * 
+ * 依次展示 steps 中的每一步，每步判定后展示评价再进入下一步，
+ * 全部结束后按评价等级结算。子类实现 steps 与 showStep()，判定时调用 resolveStep()
+ * 
+ * @abstract
+ */
+class QTEStepRuntime extends QTEModeRuntime {
+    /** @type {Array<object>} 本局的全部步骤 */
+    get steps() {
+        return [];
+    }
+
+    /**
+     * 创建一步的界面、绑定监听并开始计时
+     * 子类必须实现
+     * 
+     * @param {object} step - 步骤数据
+     */
+    showStep(step) {
+        throw new Error(`${MODULE_ID} | 模式「${this.data.mode}」的运行时没有实现 showStep()。`);
+    }
+
+    start() {
+        /** @type {number} 当前进行到的步骤索引 */
+        this.index = 0;
+
+        /** @type {Array<object>} 每一步的结果记录 */
+        this.results = [];
+
+        /** @type {number} 当前步骤的超时任务ID */
+        this.timeoutId = null;
+
+        this.playNext();
+    }
+
+    /**
+     * 播放下一步，全部完成后结算
+     */
+    playNext() {
+        if (this.index >= this.steps.length) {
+            this.finishSteps();
+            return;
+        }
+
+        const step = this.steps[this.index];
+        this.reportProgress({ step: this.index + 1, total: this.steps.length });
+
+        // 清理旧DOM并创建新步骤
+        $('#qte-overlay').remove();
+        this.showStep(step);
+        Hooks.callAll(HOOKS.STEP_SHOWN, { sessionId: this.data.sessionId, mode: this.data.mode, index: this.index, step });
+    }
+
+    /**
+     * 解析步骤结果
+     * 
+     * 记录结果、显示反馈、推进到下一步
+     * 
+     * @param {boolean} success - 是否成功
+     * @param {string} text - 评价文本
+     * @param {string} cssClass - CSS样式类
+     * @param {object} step - 步骤数据
+     * @param {number} [diff=0] - 时间差（毫秒）
+     */
+    resolveStep(success, text, cssClass, step, diff = 0) {
+        // 清理事件和定时器
+        this.clearListeners();
+        this.cancelScheduled(this.timeoutId);
+
+        // 记录结果
+        this.results.push({
+            key: step.keyDisplay,    // 按键显示文本
+            success: success,        // 成功状态
+            ratingText: text,        // 评价文本
+            ratingClass: cssClass,   // 评价样式类
+            rating: cssClass.replace('result-', ''),  // 评价等级: perfect | good | bad
+            diff: diff               // 时间差
+        });
+        Hooks.callAll(HOOKS.STEP_RESOLVED, {
+            sessionId: this.data.sessionId,
+            mode: this.data.mode,
+            index: this.index,
+            step,
+            result: this.results.at(-1)
+        });
+
+        // 显示结果反馈并汇报当前步骤评价
+        this.showResult(text, cssClass);
+        this.reportProgress({ step: this.index + 1, total: this.steps.length, rating: text });
+
+        // 延迟推进到下一步
+        this.schedule(() => {
+            $('#qte-overlay').removeClass('active');
+            this.schedule(() => {
+                $('#qte-overlay').remove();
+                this.index++;
+                this.playNext();
+            }, 200);
+        }, QTEOverlay.feedbackDelay);
+    }
+
+    /**
+     * 全部步骤结束后结算
+     * 
+     * 界面已在最后一步后移除，直接发送战报并结束本局
+     */
+    finishSteps() {
+        const steps = this.results.map(r => ({
+            key: r.key,
+            rating: r.rating,
+            ratingText: r.ratingText,
+            success: r.success,
+            diff: Math.round(r.diff)
+        }));
+        this.finish({ steps, ...QTEOverlay.gradeSteps(steps) }, { dismiss: false });
+    }
+}
+
+/**
+ * 内置模式参数区模板路径
+ * 
+ * @param {string} mode - 模式ID
+ * @returns {string} 模板路径
+ */
+const modeTemplate = (mode) => `modules/${MODULE_ID}/templates/modes/${mode}.hbs`;
+
+// ============================================================================
+// 11. 内置模式 (Built-in Modes)
+// ============================================================================
+
+/**
+ * 序列模式运行时
+ * 
+ * 逐个显示收缩圆环与按键提示，按下时机越接近目标圆环评价越高
+ */
+class SequenceRuntime extends QTEStepRuntime {
+    get steps() {
+        return this.data.sequence;
+    }
+
+    showStep(step) {
+        this.createDOM(step);
+
+        // 绑定按键监听和启动超时计时
+        this.listen(document, 'keydown', (e) => this.handleKey(e, step));
+        this.startTime = this.now();
+        this.timeoutId = this.schedule(() => {
+            this.resolveStep(false, '超时', 'result-bad', step);
+        }, step.duration);
+    }
+
+    /**
+     * 创建序列模式DOM结构
+     * 
+     * 构建包含收缩圆环、目标圆环和按键提示的UI
+     * 
+     * @param {object} step - 序列项目数据
+     */
+    createDOM(step) {
+        const isSpace = step.keyDisplay === 'SPACE';
+        
+        // 计算目标圆环尺寸（基于命中时间比例）
+        const targetScale = 1 - (step.hitTime / step.duration);
+        const targetSizePx = SEQUENCE_RING_SIZE * targetScale; 
+
+        // 随机屏幕位置 (20%~80% 范围内)
+        const minPos = 20; const maxPos = 80;
+        const randTop = Math.floor(Math.random() * (maxPos - minPos) + minPos);
+        const randLeft = Math.floor(Math.random() * (maxPos - minPos) + minPos);
+        const containerStyle = `top: ${randTop}%; left: ${randLeft}%; transform: translate(-50%, -50%); position: absolute;`;
+
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div class="qte-container" style="${containerStyle}">
+                    <!-- 收缩圆环动画 -->
+                    <div class="qte-approach-ring" style="animation: shrinkRing ${step.duration}ms linear forwards;"></div>
+                    
+                    <!-- 目标圆环（固定尺寸） -->
+                    <div class="qte-target-ring" style="width: ${targetSizePx}px; height: ${targetSizePx}px;"></div>
+                    
+                    <!-- 按键提示（空格键特殊样式） -->
+                    <div class="qte-key-prompt ${isSpace ? 'space' : ''}">${step.keyDisplay}</div>
+                    
+                    <!-- 结果显示区域 -->
+                    <div id="qte-result-text" class="qte-result"></div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * 处理序列模式按键输入
+     * 
+     * 监听特定按键，计算时机精度并给出评价
+     * 
+     * @param {KeyboardEvent} event - 键盘事件
+     * @param {object} step - 序列项目数据
+     */
+    handleKey(event, step) {
+        // 防止重复触发和系统快捷键
+        if (event.repeat || event.ctrlKey || event.altKey || event.metaKey) return;
+        event.preventDefault(); 
+        event.stopPropagation(); 
+
+        // 按键错误处理
+        if (event.code !== step.targetKey) {
+            this.resolveStep(false, "按键错误", "result-bad", step);
+            return;
+        }
+
+        const elapsed = this.now() - this.startTime;
+        const diff = Math.abs(elapsed - step.hitTime); // 计算时间差
+        
+        // 判定窗口计算
+        const halfWindow = step.windowSize / 2;
+        const perfectWindow = halfWindow * 0.4; // 完美窗口为总窗口的40%
+
+        // 三级精度判定
+        if (diff <= perfectWindow) {
+            this.resolveStep(true, "完美!!", "result-perfect", step, diff);
+        } else if (diff <= halfWindow) {
+            this.resolveStep(true, "精彩", "result-good", step, diff);
+        } else {
+            this.resolveStep(false, "太早/太晚", "result-bad", step, diff);
+        }
+    }
+
+    resolveStep(...args) {
+        $('.qte-approach-ring').css('animation-play-state', 'paused'); // 暂停动画
+        super.resolveStep(...args);
+    }
+}
+
+/**
+ * 蓄力模式运行时
+ * 
+ * 逐次显示蓄力条与目标区，按住蓄力、在目标区内松开
+ */
+class HoldRuntime extends QTEStepRuntime {
+    get steps() {
+        return this.data.holds;
+    }
+
+    showStep(step) {
+        this.createDOM(step);
+
+        // 绑定按下/松开监听
+        /** @type {number} 开始蓄力的时间戳，0 表示尚未按下 */
+        this.holdStart = 0;
+        this.listen(document, 'keydown', (e) => this.handleKeyDown(e, step));
+        this.listen(document, 'keyup', (e) => this.handleKeyUp(e, step));
+        this.armPressTimeout(step);
+    }
+
+    /**
+     * 迟迟不按下则判定超时
+     * 
+     * @param {object} step - 蓄力数据
+     */
+    armPressTimeout(step) {
+        this.timeoutId = this.schedule(() => {
+            this.resolveStep(false, '超时', 'result-bad', step);
+        }, HOLD_PRESS_TIMEOUT);
+    }
+
+    /**
+     * 创建蓄力模式DOM结构
+     * 
+     * 构建包含蓄力条、目标区(含完美区)和按键提示的UI
+     * 
+     * @param {object} step - 蓄力数据
+     */
+    createDOM(step) {
+        // 完美区为目标区中央 40% 的范围，与序列模式的完美窗口比例一致
+        const coreWidth = step.zoneWidth * 0.4;
+        const coreLeft = (step.zoneWidth - coreWidth) / 2;
+
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div class="qte-hold-wrapper">
+                    <!-- 提示文本 -->
+                    <div class="qte-mash-prompt">按住 ${step.keyDisplay}，在目标区松开!</div>
+
+                    <!-- 蓄力条 -->
+                    <div class="qte-hold-track">
+                        <div class="qte-hold-zone" style="left: ${step.zoneStart}%; width: ${step.zoneWidth}%;">
+                            <div class="qte-hold-zone-core" style="left: ${coreLeft / step.zoneWidth * 100}%; width: ${coreWidth / step.zoneWidth * 100}%;"></div>
+                        </div>
+                        <div class="qte-hold-fill" style="width: 0%;"></div>
+                    </div>
+
+                    <!-- 结果显示区域 -->
+                    <div id="qte-result-text" class="qte-result"></div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * 计算当前蓄力值
+     * 
+     * 单程模式下线性增长到 100；往返模式下在 0~100 之间来回
+     * 
+     * @param {number} elapsed - 已按住的毫秒数
+     * @param {object} step - 蓄力数据
+     * @returns {number} 蓄力值 (0-100)
+     */
+    getCharge(elapsed, step) {
+        const legs = elapsed / step.fillTime;
+        if (!step.oscillate) return Math.min(100, legs * 100);
+
+        const phase = legs % 2;
+        return (phase <= 1 ? phase : 2 - phase) * 100;
+    }
+
+    /**
+     * 处理蓄力模式按键按下
+     * 
+     * @param {KeyboardEvent} event - 键盘事件
+     * @param {object} step - 蓄力数据
+     */
+    handleKeyDown(event, step) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        // 按住时的自动重复与其他按键都不影响蓄力
+        if (event.repeat || event.code !== step.targetKey || this.holdStart) return;
+
+        this.cancelScheduled(this.timeoutId);
+        this.holdStart = this.now();
+        $('.qte-hold-track').addClass('charging');
+        this.loop(step);
+    }
+
+    /**
+     * 蓄力动画循环
+     * 
+     * 更新蓄力条，并处理单程蓄满过载与往返模式的按住上限
+     * 
+     * @param {object} step - 蓄力数据
+     */
+    loop(step) {
+        if (!this.holdStart) return;
+
+        const elapsed = this.now() - this.holdStart;
+        const charge = this.getCharge(elapsed, step);
+        $('.qte-hold-fill').css('width', `${charge}%`);
+
+        if (!step.oscillate && charge >= 100) {
+            this.resolveStep(false, '蓄力过度', 'result-bad', step);
+            return;
+        }
+        if (step.oscillate && elapsed > step.fillTime * HOLD_MAX_LEGS) {
+            this.resolveStep(false, '力竭', 'result-bad', step);
+            return;
+        }
+
+        this.requestFrame(() => this.loop(step));
+    }
+
+    /**
+     * 处理蓄力模式按键松开
+     * 
+     * 根据松开时蓄力值与目标区中心的距离给出评价
+     * 
+     * @param {KeyboardEvent} event - 键盘事件
+     * @param {object} step - 蓄力数据
+     */
+    handleKeyUp(event, step) {
+        if (event.code !== step.targetKey || !this.holdStart) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const charge = this.getCharge(this.now() - this.holdStart, step);
+        $('.qte-hold-fill').css('width', `${charge}%`);
+
+        // 距离换算为毫秒，与序列模式的时间差保持同一单位
+        const center = step.zoneStart + step.zoneWidth / 2;
+        const distance = Math.abs(charge - center);
+        const diff = distance / 100 * step.fillTime;
+
+        // 判定范围计算
+        const halfZone = step.zoneWidth / 2;
+        const perfectZone = halfZone * 0.4; // 完美区为目标区的40%
+
+        // 三级精度判定
+        if (distance <= perfectZone) {
+            this.resolveStep(true, "完美!!", "result-perfect", step, diff);
+        } else if (distance <= halfZone) {
+            this.resolveStep(true, "精彩", "result-good", step, diff);
+        } else {
+            this.resolveStep(false, charge < center ? "太早" : "太晚", "result-bad", step, diff);
+        }
+    }
+
+    resolveStep(...args) {
+        this.releaseCharge();
+        super.resolveStep(...args);
+    }
+
+    /**
+     * 暂停期间无法感知松开，作废蓄力中的按键，恢复后需重新按下
+     */
+    pause() {
+        if (!this.holdStart) return;
+        this.releaseCharge();
+        $('.qte-hold-fill').css('width', '0%');
+        this.armPressTimeout(this.steps[this.index]);
+    }
+
+    /**
+     * 结束蓄力：停止动画循环并清除蓄力状态
+     */
+    releaseCharge() {
+        cancelAnimationFrame(this.frameId);
+        this.holdStart = 0;
+        $('.qte-hold-track').removeClass('charging');
+    }
+}
+
+/**
+ * 连打模式运行时
+ * 
+ * 单人连打在本地计算进度；对决与合作连打只发送按键，进度以裁判广播为准
+ */
+class MashRuntime extends QTEModeRuntime {
+    start() {
+        const { data } = this;
+
+        /** @type {boolean} 是否为多人连打（对决 / 合作） */
+        this.shared = !!(data.versus || data.team);
+
+        /** @type {number} 当前进度值 (0-100) */
+        this.progress = 50;
+
+        /** @type {Set<number>} 本局已触发过的进度里程碑 */
+        this.milestones = new Set();
+
+        /** @type {number} 连打结束时间戳 */
+        this.endTime = this.now() + (data.mashDuration * 1000);
+
+        if (this.shared) this.startShared();
+        else this.startSolo();
+    }
+
+    // ----------------------------- 单人连打 -----------------------------
+
+    /**
+     * 启动单人连打
+     * 
+     * 创建UI，绑定事件并启动游戏循环
+     */
+    startSolo() {
+        this.createDOM();
+        this.listen(document, 'keydown', (e) => this.handleKey(e));
+
+        this.lastFrameTime = this.now();
+        this.loop();
+    }
+
+    /**
+     * 创建连打模式DOM结构
+     * 
+     * 构建包含进度条、计时器、提示文本的UI界面
+     * 
+     * @param {object} [icons] - 两端图标的 HTML，默认为拳头与骷髅
+     * @param {string} [icons.left] - 左侧图标
+     * @param {string} [icons.right] - 右侧图标
+     */
+    createDOM(icons = {}) {
+        const leftIcon = icons.left ?? '<i class="fas fa-fist-raised"></i>';
+        const rightIcon = icons.right ?? '<i class="fas fa-skull"></i>';
+
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div class="qte-mash-wrapper">
+                    <!-- 提示文本 -->
+                    <div class="qte-mash-prompt">PRESS SPACE!</div>
+
+                    <!-- 倒计时显示 -->
+                    <div class="qte-timer">--.--s</div>
+                    
+                    <!-- 进度条区域 -->
+                    <div class="qte-mash-row">
+                        <!-- 左侧玩家图标 -->
+                        <div class="mash-icon player">${leftIcon}</div>
+                        
+                        <!-- 进度条轨道 -->
+                        <div class="qte-progress-track">
+                            <div class="qte-progress-fill" style="width: 50%;"></div>
+                        </div>
+                        
+                        <!-- 右侧敌人图标 -->
+                        <div class="mash-icon enemy">${rightIcon}</div>
+                    </div>
+                </div>
+                
+                <!-- 结果显示区域 -->
+                <div id="qte-result-text" class="qte-result"></div>
+            </div>
+        `);
+    }
+
+    /**
+     * 处理连打模式按键输入
+     * 
+     * 监听空格键按下，更新进度并触发视觉反馈
+     * 
+     * @param {KeyboardEvent} e - 键盘事件对象
+     */
+    handleKey(e) {
+        // 防止重复触发和系统快捷键干扰
+        if (e.repeat) return; 
+        e.preventDefault(); 
+        e.stopPropagation();
+
+        // 只响应空格键
+        if (e.code !== 'Space') return;
+
+        // 1. 增加进度值
+        this.progress += this.data.mashPower;
+        this.checkMilestone();
+        
+        // 2. 即时胜利判定（避免帧延迟）
+        if (this.progress >= 100) {
+            this.progress = 100;
+            $('.qte-progress-fill').css('width', '100%'); // 视觉补满
+            this.end(true, 'breakthrough');
+            return;
+        }
+
+        // 3. 更新进度条视觉
+        const fill = $('.qte-progress-fill');
+        fill.css('width', `${this.progress}%`);
+        
+        // 4. 高光闪烁反馈
+        fill.removeClass('flash');
+        void fill[0].offsetWidth; // 强制重绘技巧
+        fill.addClass('flash');
+
+        // 5. 轨道抖动效果
+        this.shakeTrack();
+    }
+
+    /**
+     * 连打模式游戏循环
+     * 
+     * 处理进度衰减、倒计时更新和胜负判定
+     */
+    loop() {
+        const now = this.now();
+        const deltaTime = (now - this.lastFrameTime) / 1000;  // 计算帧间隔（秒）
+        this.lastFrameTime = now;
+
+        // --- 倒计时更新逻辑 ---
+        const remaining = this.updateTimer();
+
+        // 1. 计算自然衰减
+        this.progress -= this.data.mashDecay * deltaTime;
+
+        // 2. 更新UI进度条
+        $('.qte-progress-fill').css('width', `${Math.max(0, this.progress)}%`);
+        this.checkMilestone();
+        this.reportProgress({ progress: Math.round(Math.max(0, this.progress)), remaining }, true);
+
+        // 3. 胜负判定逻辑
+        if (this.progress <= 0) {
+            this.end(false, 'overpowered');
+            return;
+        }
+        if (this.progress >= 100) {
+            this.end(true, 'breakthrough');
+            return;
+        }
+        if (now > this.endTime) {
+            this.end(false, 'timeout');
+            return;
+        }
+
+        // 4. 继续下一帧循环
+        this.requestFrame(() => this.loop());
+    }
+
+    /**
+     * 结束单人连打
+     * 
+     * @param {boolean} success - 是否成功
+     * @param {string} reason - 结束原因: 'breakthrough' | 'overpowered' | 'timeout'
+     */
+    end(success, reason) {
+        this.finish({
+            success,
+            progress: Math.round(Math.min(100, Math.max(0, this.progress))),
+            endReason: reason
+        }, {
+            text: MASH_END_TEXT[reason],
+            cssClass: success ? 'result-perfect' : 'result-bad'
+        });
+    }
+
+    // ---------------------- 多人连打 (对决 / 合作) ----------------------
+
+    /**
+     * 启动多人连打
+     * 
+     * 对决在两端显示双方头像；合作额外显示每位玩家的贡献
+     */
+    startShared() {
+        const { data } = this;
+        const escape = Handlebars.escapeExpression;
+        const avatar = (p) => `
+            <div class="mash-versus-player ${p.userId === game.user.id ? 'self' : ''}">
+                <img src="${p.avatar}" alt="${escape(p.name)}" style="border-color: ${p.color};">
+                <span>${escape(p.name)}</span>
+            </div>
+        `;
+
+        if (data.versus) {
+            // 对决：两端显示双方头像与名字，提示己方的推进方向
+            const [left, right] = data.versus.map(avatar);
+            this.createDOM({ left, right });
+            const self = data.versus.find(p => p.userId === game.user.id);
+            $('.qte-mash-prompt').text(self?.side === 'right' ? "← PRESS SPACE!" : "PRESS SPACE! →");
+        } else {
+            // 合作：进度条下方显示每位玩家的贡献
+            this.createDOM({ left: '<i class="fas fa-users"></i>' });
+            const rows = data.team.map(p => `
+                <div class="qte-mash-member ${p.userId === game.user.id ? 'self' : ''}" data-user-id="${p.userId}">
+                    <img src="${p.avatar}" style="border-color: ${p.color};">
+                    <span class="qte-mash-member-name">${escape(p.name)}</span>
+                    <div class="qte-mash-member-bar"><div class="qte-mash-member-fill" style="width: 0%;"></div></div>
+                    <span class="qte-mash-member-share">0%</span>
+                </div>
+            `).join('');
+            $('.qte-mash-wrapper').append(`<div class="qte-mash-team">${rows}</div>`);
+            $('.qte-mash-prompt').text("齐心协力! PRESS SPACE!");
+        }
+
+        this.listen(document, 'keydown', (e) => this.handleSharedKey(e));
+        this.sharedLoop();
+    }
+
+    /**
+     * 处理多人连打按键输入
+     * 
+     * 按键只发送给裁判，不在本地修改进度
+     * 
+     * @param {KeyboardEvent} e - 键盘事件对象
+     */
+    handleSharedKey(e) {
+        if (e.repeat) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.code !== 'Space') return;
+
+        qteSocket.executeAsUser("mashPress", this.data.senderId, this.data.sessionId)
+            .catch(err => console.warn(`${MODULE_ID} | 按键发送失败:`, err));
+
+        // 本地轨道抖动，让按键手感即时
+        this.shakeTrack();
+    }
+
+    /**
+     * 多人连打倒计时显示循环
+     * 
+     * 胜负由裁判判定，这里只刷新倒计时
+     */
+    sharedLoop() {
+        this.updateTimer();
+        this.requestFrame(() => this.sharedLoop());
+    }
+
+    /**
+     * 显示裁判广播的权威进度
+     * 
+     * @param {number} progress - 进度 (0-100)，对决中为左方进度
+     * @param {Object<string, number>} presses - 每位玩家的累计按键次数
+     */
+    applyState(progress, presses) {
+        this.progress = progress;
+        this.checkMilestone();
+        const fill = $('.qte-progress-fill');
+        fill.css('width', `${progress}%`);
+
+        // 合作：刷新每位玩家的贡献占比
+        if (this.data.team) {
+            const total = Object.values(presses).reduce((sum, n) => sum + n, 0);
+            for (const [userId, count] of Object.entries(presses)) {
+                const share = total ? Math.round(count / total * 100) : 0;
+                const row = $(`.qte-mash-member[data-user-id="${userId}"]`);
+                row.find('.qte-mash-member-fill').css('width', `${share}%`);
+                row.find('.qte-mash-member-share').text(`${share}%`);
+            }
+        }
+
+        // 高光闪烁反馈
+        fill.removeClass('flash');
+        void fill[0]?.offsetWidth; // 强制重绘
+        fill.addClass('flash');
+    }
+
+    /**
+     * 显示裁判判定的比赛结果
+     * 
+     * 共享战报与结果登记由裁判负责，这里只显示本地结果
+     * 
+     * @param {object} outcome - { progress, endReason, winnerId, success }
+     */
+    endShared(outcome) {
+        this.stop();
+        $('.qte-progress-fill').css('width', `${outcome.progress}%`);
+
+        if (this.data.versus) {
+            const won = outcome.winnerId === game.user.id;
+            this.showResult(
+                !outcome.winnerId ? "平局!" : (won ? "胜利!" : "败北..."),
+                !outcome.winnerId ? 'result-good' : (won ? 'result-perfect' : 'result-bad')
+            );
+        } else {
+            this.showResult(MASH_END_TEXT[outcome.endReason], outcome.success ? 'result-perfect' : 'result-bad');
+        }
+
+        QTEOverlay.dismissOverlay();
+    }
+
+    // ----------------------------- 通用辅助 -----------------------------
+
+    /**
+     * 刷新倒计时显示，少于3秒时添加紧急样式
+     * 
+     * @returns {number} 剩余秒数
+     */
+    updateTimer() {
+        const remaining = Math.max(0, (this.endTime - this.now()) / 1000);
+        const timerEl = $('.qte-timer');
+        timerEl.text(remaining.toFixed(2) + 's'); // 保留2位小数显示
+        if (remaining <= 3) timerEl.addClass('urgent');
+        return remaining;
+    }
+
+    /**
+     * 轨道抖动反馈
+     */
+    shakeTrack() {
+        const track = $('.qte-progress-track');
+        track.removeClass('shake-pulse');
+        void track[0]?.offsetWidth; // 强制重绘
+        track.addClass('shake-pulse');
+    }
+
+    /**
+     * 进度首次越过里程碑时触发公开钩子
+     */
+    checkMilestone() {
+        const progress = Math.min(100, Math.max(0, this.progress));
+        for (const milestone of MASH_MILESTONES) {
+            const reached = milestone < 50 ? progress <= milestone : progress >= milestone;
+            if (!reached || this.milestones.has(milestone)) continue;
+            this.milestones.add(milestone);
+            Hooks.callAll(HOOKS.MASH_MILESTONE, { sessionId: this.data.sessionId, milestone, progress });
+        }
+    }
+
+    /**
+     * 取得当前多人连打会话的运行时
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @returns {MashRuntime|null} 运行时，不是进行中的多人连打时为 null
+     */
+    static getShared(sessionId) {
+        const runtime = QTEOverlay.runtime;
+        if (!(runtime instanceof MashRuntime) || !runtime.shared || !runtime.active) return null;
+        return runtime.data.sessionId === sessionId ? runtime : null;
+    }
+
+    /**
+     * 接收裁判广播的权威进度 (Socket 回调)
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @param {number} progress - 进度 (0-100)，对决中为左方进度
+     * @param {Object<string, number>} presses - 每位玩家的累计按键次数
+     */
+    static receiveState(sessionId, progress, presses) {
+        MashRuntime.getShared(sessionId)?.applyState(progress, presses);
+    }
+
+    /**
+     * 接收裁判的比赛结果 (Socket 回调)
+     * 
+     * @static
+     * @param {string} sessionId - 会话ID
+     * @param {object} outcome - { progress, endReason, winnerId, success }
+     */
+    static receiveEnd(sessionId, outcome) {
+        // 还在队列中的多人连打已经结束，直接丢弃
+        if (QTEOverlay.dropQueued(sessionId)) return;
+        MashRuntime.getShared(sessionId)?.endShared(outcome);
+    }
+}
+
+/**
+ * 连招模式运行时
+ * 
+ * 限时内按顺序输入方向串；输错时按配置重置或直接失败
+ */
+class ComboRuntime extends QTEModeRuntime {
+    start() {
+        /** @type {Array<number>} 已命中输入的分段用时(毫秒) */
+        this.splits = [];
+
+        /** @type {number} 输错次数 */
+        this.mistakes = 0;
+
+        /** @type {number} 连招开始时间戳 */
+        this.startTime = this.now();
+
+        /** @type {number} 上一次命中(或重置)的时间戳 */
+        this.lastHit = this.startTime;
+
+        /** @type {number} 连招结束时间戳 */
+        this.endTime = this.startTime + this.data.comboTimeLimit;
+
+        this.createDOM();
+        this.listen(document, 'keydown', (e) => this.handleKey(e));
+        this.loop();
+    }
+
+    /**
+     * 创建连招模式DOM结构
+     * 
+     * 构建包含倒计时与方向串的UI
+     */
+    createDOM() {
+        const keys = this.data.combo.map(step =>
+            `<div class="qte-combo-key" data-index="${step.id}">${step.symbol}</div>`
+        ).join('');
+
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div class="qte-combo-wrapper">
+                    <!-- 提示文本 -->
+                    <div class="qte-mash-prompt">输入连招!</div>
+
+                    <!-- 倒计时显示 -->
+                    <div class="qte-timer">--.--s</div>
+
+                    <!-- 方向串 -->
+                    <div class="qte-combo-row">${keys}</div>
+
+                    <!-- 结果显示区域 -->
+                    <div id="qte-result-text" class="qte-result"></div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * 处理连招模式按键输入
+     * 
+     * 正确输入点亮当前方向；输错时按配置重置或直接失败
+     * 
+     * @param {KeyboardEvent} event - 键盘事件
+     */
+    handleKey(event) {
+        if (event.repeat || event.ctrlKey || event.altKey || event.metaKey) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        // 非方向键不计入输入
+        const pressed = Object.keys(COMBO_DIRECTIONS).find(dir => COMBO_DIRECTIONS[dir].codes.includes(event.code));
+        if (!pressed) return;
+
+        const { combo } = this.data;
+        const index = this.splits.length;
+        const now = this.now();
+
+        if (pressed === combo[index].direction) {
+            // 1. 记录分段用时并点亮
+            this.splits.push(now - this.lastHit);
+            this.lastHit = now;
+            $(`.qte-combo-key[data-index="${index}"]`).addClass('hit');
+            this.reportProgress({ step: this.splits.length, total: combo.length, mistakes: this.mistakes });
+
+            // 2. 整串输完即成功
+            if (this.splits.length >= combo.length) {
+                this.end(true, 'complete');
+            }
+            return;
+        }
+
+        // 输错处理
+        this.mistakes++;
+        this.reportProgress({ step: 0, total: combo.length, mistakes: this.mistakes });
+        if (this.data.comboOnMistake === 'fail') {
+            $(`.qte-combo-key[data-index="${index}"]`).addClass('miss');
+            this.end(false, 'mistake');
+            return;
+        }
+
+        // 从头再来：熄灭全部已点亮的输入并抖动提示
+        this.splits = [];
+        this.lastHit = now;
+        $('.qte-combo-key').removeClass('hit');
+        const row = $('.qte-combo-row');
+        row.removeClass('shake-pulse');
+        void row[0].offsetWidth; // 强制重绘
+        row.addClass('shake-pulse');
+        QTEOverlay.playSound('result-bad');
+    }
+
+    /**
+     * 连招模式计时循环
+     * 
+     * 更新倒计时显示并处理超时判定
+     */
+    loop() {
+        const now = this.now();
+        const remaining = Math.max(0, (this.endTime - now) / 1000);
+        const timerEl = $('.qte-timer');
+        timerEl.text(remaining.toFixed(2) + 's');
+        if (remaining <= 3) timerEl.addClass('urgent');
+
+        if (now > this.endTime) {
+            this.end(false, 'timeout');
+            return;
+        }
+
+        this.requestFrame(() => this.loop());
+    }
+
+    /**
+     * 结束连招模式
+     * 
+     * @param {boolean} success - 是否成功
+     * @param {string} reason - 结束原因: 'complete' | 'mistake' | 'timeout'
+     */
+    end(success, reason) {
+        this.finish({
+            success,
+            endReason: reason,
+            inputs: this.data.combo.map((step, i) => ({
+                symbol: step.symbol,
+                hit: i < this.splits.length,
+                split: this.splits[i] ?? null
+            })),
+            mistakes: this.mistakes,
+            elapsed: this.now() - this.startTime
+        }, {
+            text: COMBO_END_TEXT[reason],
+            cssClass: success ? (this.mistakes === 0 ? 'result-perfect' : 'result-good') : 'result-bad'
+        });
+    }
+}
+
+/**
+ * 点击模式运行时
+ * 
+ * 按预定时间依次生成目标，点中越快越准评价越高
+ */
+class AimRuntime extends QTEModeRuntime {
+    start() {
+        /** @type {Array<object>} 按目标序号记录的结果 */
+        this.results = [];
+
+        /** @type {number} 未点中目标的次数 */
+        this.misclicks = 0;
+
+        // 创建点击区域并绑定指针监听（同时支持鼠标与触屏）
+        this.createDOM();
+        this.listen(document.getElementById('qte-aim-field'), 'pointerdown', (e) => this.handlePointer(e));
+
+        // 按出现时间点排程每个目标
+        for (const target of this.data.targets) {
+            this.schedule(() => this.spawnTarget(target), target.spawnAt);
+        }
+    }
+
+    /**
+     * 创建点击模式DOM结构
+     * 
+     * 构建可接收点击的全屏区域与提示文本
+     */
+    createDOM() {
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div id="qte-aim-field" class="qte-aim-field">
+                    <!-- 提示文本 -->
+                    <div class="qte-aim-prompt">点击目标!</div>
+
+                    <!-- 结果显示区域 -->
+                    <div class="qte-aim-result-anchor">
+                        <div id="qte-result-text" class="qte-result"></div>
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * 生成单个目标
+     * 
+     * 目标的移动/缩小由 CSS 动画驱动，到期未点中则判定失误
+     * 
+     * @param {object} target - 目标数据
+     */
+    spawnTarget(target) {
+        const style = [
+            `left: ${target.x}%`,
+            `top: ${target.y}%`,
+            `width: ${target.size * QTEOverlay.scale}px`,
+            `height: ${target.size * QTEOverlay.scale}px`,
+            `--aim-life: ${target.lifetime}ms`,
+            `--aim-dx: ${target.dx}vw`,
+            `--aim-dy: ${target.dy}vh`
+        ].join('; ');
+
+        $('#qte-aim-field').append(
+            `<div class="qte-aim-target ${target.motion}" data-id="${target.id}" style="${style}"></div>`
+        );
+
+        target.spawnedAt = this.now();
+        this.schedule(() => {
+            this.resolveTarget(target, false, '错过', 'result-bad');
+        }, target.lifetime);
+    }
+
+    /**
+     * 处理点击模式指针输入
+     * 
+     * 点中目标时根据反应时间与点击位置评价，点空记为误点
+     * 
+     * @param {PointerEvent} event - 指针事件
+     */
+    handlePointer(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const el = event.target.closest('.qte-aim-target');
+        if (!el || el.classList.contains('resolved')) {
+            this.misclicks++;
+            return;
+        }
+
+        const target = this.data.targets[Number(el.dataset.id)];
+        const reaction = this.now() - target.spawnedAt;
+
+        // 点击位置与目标中心的距离（按当前半径归一化，兼容缩小/移动动画）
+        const rect = el.getBoundingClientRect();
+        const dx = event.clientX - (rect.left + rect.width / 2);
+        const dy = event.clientY - (rect.top + rect.height / 2);
+        const offset = Math.hypot(dx, dy) / (rect.width / 2);
+
+        // 反应迅速且点在中心区域为完美，其余命中为精彩
+        if (reaction <= target.lifetime * 0.4 && offset <= 0.5) {
+            this.resolveTarget(target, true, '完美!!', 'result-perfect', reaction);
+        } else {
+            this.resolveTarget(target, true, '精彩', 'result-good', reaction);
+        }
+    }
+
+    /**
+     * 解析单个目标结果
+     * 
+     * 记录结果并在目标位置显示反馈，全部目标结束后结算
+     * 
+     * @param {object} target - 目标数据
+     * @param {boolean} success - 是否命中
+     * @param {string} text - 评价文本
+     * @param {string} cssClass - CSS样式类
+     * @param {number} [reaction=0] - 反应时间（毫秒）
+     */
+    resolveTarget(target, success, text, cssClass, reaction = 0) {
+        // 同一目标只结算一次（点中与过期可能同时发生）
+        if (this.results[target.id] || !this.active) return;
+
+        this.results[target.id] = {
+            key: `#${target.id + 1}`,
+            rating: cssClass.replace('result-', ''),
+            ratingText: text,
+            success,
+            diff: Math.round(reaction)
+        };
+
+        // 目标原地显示评价并淡出
+        const el = $(`.qte-aim-target[data-id="${target.id}"]`);
+        el.addClass(`resolved ${cssClass}`).attr('data-label', text);
+        setTimeout(() => el.remove(), 500);
+        QTEOverlay.playSound(cssClass);
+
+        const resolved = this.results.filter(r => r).length;
+        this.reportProgress({ step: resolved, total: this.data.targets.length, rating: text });
+
+        if (resolved >= this.data.targets.length) {
+            this.end();
+        }
+    }
+
+    /**
+     * 结束点击模式
+     * 
+     * 统计命中与精度；每个目标已各自播放过音效，总体评价不再播放
+     */
+    end() {
+        const steps = this.results;
+        const summary = QTEOverlay.gradeSteps(steps);
+        const hits = summary.totals.perfect + summary.totals.good;
+        const clicks = hits + this.misclicks;
+
+        this.finish({
+            steps,
+            ...summary,
+            accuracy: clicks ? Math.round(hits / clicks * 100) : 0,
+            misclicks: this.misclicks
+        }, {
+            text: GRADE_TEXT[summary.grade],
+            cssClass: summary.grade === 'perfect' ? 'result-perfect' : (summary.success ? 'result-good' : 'result-bad'),
+            sound: false
+        });
+    }
+}
+
+/**
+ * 平衡模式运行时
+ * 
+ * 指针受漂移力影响左右晃动，玩家用左右键将其保持在安全区内
+ */
+class BalanceRuntime extends QTEModeRuntime {
+    start() {
+        /** @type {number} 指针位置 (0-100) */
+        this.position = 50;
+
+        /** @type {number} 指针速度 (每秒刻度) */
+        this.velocity = 0;
+
+        /** @type {object} 左右推动键的按住状态 */
+        this.input = { left: false, right: false };
+
+        /** @type {number} 指针位于安全区内的累计毫秒数 */
+        this.insideTime = 0;
+
+        // 创建UI并绑定左右键按下/松开监听
+        this.createDOM();
+        this.listen(document, 'keydown', (e) => this.handleKey(e, true));
+        this.listen(document, 'keyup', (e) => this.handleKey(e, false));
+
+        // 启动物理循环
+        this.startTime = this.now();
+        this.lastFrameTime = this.startTime;
+        this.loop();
+    }
+
+    /**
+     * 暂停期间无法感知松开，清空按住状态
+     */
+    pause() {
+        this.input = { left: false, right: false };
+    }
+
+    /**
+     * 创建平衡模式DOM结构
+     * 
+     * 构建包含刻度条、安全区、指针与稳定度读数的UI
+     */
+    createDOM() {
+        const { balanceZoneWidth } = this.data;
+        const zoneLeft = 50 - balanceZoneWidth / 2;
+
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div class="qte-balance-wrapper">
+                    <!-- 提示文本 -->
+                    <div class="qte-mash-prompt">← / → 保持平衡!</div>
+
+                    <!-- 倒计时显示 -->
+                    <div class="qte-timer">--.--s</div>
+
+                    <!-- 刻度条 -->
+                    <div class="qte-balance-track">
+                        <div class="qte-balance-zone" style="left: ${zoneLeft}%; width: ${balanceZoneWidth}%;"></div>
+                        <div class="qte-balance-needle" style="left: 50%;"></div>
+                    </div>
+
+                    <!-- 稳定度读数 -->
+                    <div class="qte-balance-readout">稳定度 100%</div>
+
+                    <!-- 结果显示区域 -->
+                    <div id="qte-result-text" class="qte-result"></div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * 处理平衡模式按键输入
+     * 
+     * 只记录左右键的按住状态，推力在物理循环中施加
+     * 
+     * @param {KeyboardEvent} event - 键盘事件
+     * @param {boolean} pressed - 按下(true) 或 松开(false)
+     */
+    handleKey(event, pressed) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+        let side = null;
+        if (event.code === 'ArrowLeft' || event.code === 'KeyA') side = 'left';
+        else if (event.code === 'ArrowRight' || event.code === 'KeyD') side = 'right';
+        if (!side) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.input[side] = pressed;
+    }
+
+    /**
+     * 平衡模式物理循环
+     * 
+     * 施加漂移力与玩家推力，更新指针位置并累计区内时间
+     */
+    loop() {
+        const { data } = this;
+        const now = this.now();
+        const deltaTime = (now - this.lastFrameTime) / 1000;  // 计算帧间隔（秒）
+        this.lastFrameTime = now;
+
+        const elapsed = now - this.startTime;
+        const duration = data.balanceDuration * 1000;
+
+        // 1. 当前时段的漂移力
+        const segment = Math.min(Math.floor(elapsed / BALANCE_DRIFT_SEGMENT), data.driftPattern.length - 1);
+        const drift = data.driftPattern[segment];
+
+        // 2. 玩家推力：略强于最大漂移，保证总能拉回
+        const pushPower = Math.max(60, data.balanceDrift * 2);
+        const push = (this.input.right ? pushPower : 0) - (this.input.left ? pushPower : 0);
+
+        // 3. 积分速度与位置，并施加阻尼防止无限加速
+        this.velocity += (drift + push) * deltaTime;
+        this.velocity *= Math.max(0, 1 - 1.5 * deltaTime);
+        this.position += this.velocity * deltaTime;
+
+        // 撞到刻度两端时停住
+        if (this.position <= 0 || this.position >= 100) {
+            this.position = Math.min(100, Math.max(0, this.position));
+            this.velocity = 0;
+        }
+
+        // 4. 累计区内时间
+        const halfZone = data.balanceZoneWidth / 2;
+        const inside = Math.abs(this.position - 50) <= halfZone;
+        if (inside) this.insideTime += deltaTime * 1000;
+        const stability = elapsed > 0 ? Math.min(100, this.insideTime / elapsed * 100) : 100;
+
+        // 5. 更新UI
+        const remaining = Math.max(0, (duration - elapsed) / 1000);
+        const timerEl = $('.qte-timer');
+        timerEl.text(remaining.toFixed(2) + 's');
+        if (remaining <= 3) timerEl.addClass('urgent');
+
+        $('.qte-balance-needle').css('left', `${this.position}%`).toggleClass('outside', !inside);
+        $('.qte-balance-readout').text(`稳定度 ${Math.round(stability)}%`);
+        this.reportProgress({ progress: Math.round(stability), remaining }, true);
+
+        // 6. 时间到则结算
+        if (elapsed >= duration) {
+            this.end(Math.round(stability));
+            return;
+        }
+
+        this.requestFrame(() => this.loop());
+    }
+
+    /**
+     * 结束平衡模式
+     * 
+     * @param {number} stability - 区内时间百分比
+     */
+    end(stability) {
+        const success = stability >= this.data.balanceThreshold;
+        const reason = success ? 'stable' : 'unstable';
+        this.finish({ success, stability, endReason: reason }, {
+            text: BALANCE_END_TEXT[reason],
+            cssClass: success ? (stability >= 95 ? 'result-perfect' : 'result-good') : 'result-bad'
+        });
+    }
+}
+
+/**
+ * 抉择模式运行时
+ * 
+ * 限时内用点击或数字键选择一个选项，时间耗尽时选择默认项或沉默
+ */
+class ChoiceRuntime extends QTEModeRuntime {
+    start() {
+        /** @type {boolean} 是否已做出选择（防止重复提交） */
+        this.locked = false;
+
+        // 创建UI并绑定数字键与点击监听
+        this.createDOM();
+        this.listen(document, 'keydown', (e) => this.handleKey(e));
+        for (const option of document.querySelectorAll('.qte-choice-option')) {
+            this.listen(option, 'click', (e) => this.pick(Number(e.currentTarget.dataset.index)));
+        }
+
+        // 启动倒计时循环
+        this.startTime = this.now();
+        this.loop();
+    }
+
+    /**
+     * 创建抉择模式DOM结构
+     * 
+     * 构建包含题目、倒计时条与选项按钮的UI
+     */
+    createDOM() {
+        const { data } = this;
+        const escape = Handlebars.escapeExpression;
+        const options = data.choices.map((text, index) => `
+            <button type="button" class="qte-choice-option" data-index="${index}">
+                <span class="qte-choice-number">${index + 1}</span>
+                <span class="qte-choice-text">${escape(text)}</span>
+            </button>
+        `).join('');
+
+        this.mountOverlay(`
+            <div id="qte-overlay">
+                <div class="qte-choice-wrapper">
+                    <!-- 题目 -->
+                    <div class="qte-mash-prompt">${escape(data.title || "做出选择!")}</div>
+
+                    <!-- 倒计时条 -->
+                    <div class="qte-choice-countdown"><div class="qte-choice-countdown-fill"></div></div>
+
+                    <!-- 选项 -->
+                    <div class="qte-choice-options">${options}</div>
+
+                    <!-- 结果显示区域 -->
+                    <div id="qte-result-text" class="qte-result"></div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * 处理抉择模式按键输入
+     * 
+     * 数字键 1~4（含小键盘）对应选项
+     * 
+     * @param {KeyboardEvent} event - 键盘事件
+     */
+    handleKey(event) {
+        if (event.repeat || event.ctrlKey || event.altKey || event.metaKey) return;
+
+        const match = event.code.match(/^(?:Digit|Numpad)([1-4])$/);
+        if (!match) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const index = Number(match[1]) - 1;
+        if (index < this.data.choices.length) this.pick(index);
+    }
+
+    /**
+     * 抉择倒计时循环
+     * 
+     * 更新倒计时条，时间耗尽时自动选中默认选项或沉默
+     */
+    loop() {
+        if (this.locked) return;
+
+        const duration = this.data.choiceTime * 1000;
+        const remaining = Math.max(0, duration - (this.now() - this.startTime));
+        const fill = $('.qte-choice-countdown-fill');
+        fill.css('width', `${remaining / duration * 100}%`);
+        if (remaining <= 3000) fill.addClass('urgent');
+
+        if (remaining <= 0) {
+            this.pick(this.data.choiceDefault, true);
+            return;
+        }
+
+        this.requestFrame(() => this.loop());
+    }
+
+    /**
+     * 确定选择并结束抉择模式
+     * 
+     * @param {number} index - 选项序号，-1 表示沉默
+     * @param {boolean} [timedOut=false] - 是否因超时而自动选择
+     */
+    pick(index, timedOut = false) {
+        if (this.locked) return;
+        this.locked = true;
+
+        // 高亮选中项
+        const { data } = this;
+        const choiceText = index === CHOICE_SILENCE ? data.choiceSilenceText : data.choices[index];
+        $('.qte-choice-option').addClass('locked');
+        $(`.qte-choice-option[data-index="${index}"]`).addClass('picked');
+
+        this.finish({
+            success: !timedOut,
+            endReason: timedOut ? 'timeout' : 'picked',
+            choice: index,
+            choiceText,
+            reactionTime: this.now() - this.startTime
+        }, {
+            text: timedOut ? "时间到!" : choiceText,
+            cssClass: timedOut ? 'result-bad' : 'result-good'
+        });
+    }
+}
+
+/**
+ * 内置模式定义，在 init 时注册
+ * @constant {Object<string, QTEModeDefinition>}
+ */
+const BUILTIN_MODES = {
+    sequence: {
+        label: MODE_LABELS.sequence,
+        defaults: {
+            count: 3,            // 默认3次连击
+            duration: 2500,      // 默认2.5秒判定时长
+            windowSize: 300      // 默认300毫秒宽容度
+        },
+        settings: [
+            { name: 'count', label: "连击次数", min: 1, max: 20 },
+            { name: 'duration', label: "判定时长 (毫秒)", min: 500, max: 5000, step: 100 },
+            { name: 'windowSize', label: "宽容度 (毫秒)", min: 50, max: 1000, step: 10 }
+        ],
+        runtime: SequenceRuntime,
+        generate(data) {
+            // 预先生成随机按键序列
+            data.sequence = [];
+            const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ '; // 26个字母 + 空格
+
+            for (let i = 0; i < data.count; i++) {
+                // 随机按键生成逻辑
+                const randomChar = chars.charAt(Math.floor(Math.random() * chars.length));
+                const keyDisplay = randomChar === ' ' ? 'SPACE' : randomChar;  // 空格键显示为"SPACE"
+                const keyCode = randomChar === ' ' ? 'Space' : `Key${randomChar}`; // 对应的键盘码
+
+                // 随机判定时间点 (总时长的 30% ~ 70% 区间)
+                // 这样避免按键出现在开始或结束的太边缘位置
+                const minRatio = 0.3;
+                const maxRatio = 0.7;
+                const randomRatio = Math.random() * (maxRatio - minRatio) + minRatio;
+                const targetTime = data.duration * randomRatio;
+
+                // 构建单个按键数据对象
+                data.sequence.push({
+                    id: i,                           // 序列ID
+                    keyDisplay: keyDisplay,          // 显示文本
+                    targetKey: keyCode,              // 目标按键代码
+                    duration: data.duration,         // 总持续时间
+                    hitTime: targetTime,             // 最佳命中时间点
+                    windowSize: data.windowSize      // 判定窗口大小
+                });
+            }
+        },
+        personalize(payload) {
+            // 共享序列按最多次数生成，截取个人次数并换算判定时间点
+            payload.sequence = payload.sequence.slice(0, payload.count).map(step => ({
+                ...step,
+                duration: payload.duration,
+                hitTime: step.hitTime / step.duration * payload.duration,
+                windowSize: payload.windowSize
+            }));
+        },
+        scaleTiming(data, k) {
+            data.sequence = data.sequence.map(step => ({
+                ...step,
+                duration: step.duration * k,
+                hitTime: step.hitTime * k,
+                windowSize: step.windowSize * k
+            }));
+        },
+        // 每个序列步骤包含判定时长、反馈停留与进入下一步前的间隔
+        estimateTimeout: data => data.count * (data.duration + data.feedbackDelay + 200),
+        dialog: {
+            template: modeTemplate('sequence'),
+            read: data => ({
+                count: parseInt(data.count),
+                duration: parseInt(data.difficulty),
+                windowSize: parseInt(data.windowSize)
+            })
+        },
+        report: {
+            template: modeTemplate('steps-report')
+        }
+    },
+
+    mash: {
+        label: MODE_LABELS.mash,
+        defaults: {
+            mashDecay: 30,       // 默认每秒衰减30点
+            mashDuration: 10,    // 默认10秒时限
+            mashPower: 6,        // 默认每次按键增加6点进度
+            mashVariant: 'solo', // 默认单人连打
+            mashScaleDecay: true // 合作连打默认按人数放大衰减
+        },
+        settings: [
+            { name: 'mashPower', label: "每次按键推进", min: 1, max: 50 },
+            { name: 'mashDecay', label: "每秒衰减", min: 5, max: 100 },
+            { name: 'mashDuration', label: "时限 (秒)", min: 3, max: 60 }
+        ],
+        runtime: MashRuntime,
+        prepare(data) {
+            // preTrigger 之后会再次预处理，先清除上一次生成的阵营
+            delete data.versus;
+            delete data.team;
+
+            // 对抗连打 - 两名目标分居进度条两端
+            if (data.mashVariant === 'versus') {
+                const players = (data.targetIds ?? []).map(id => game.users.get(id));
+                if (players.length !== 2 || players.some(u => !u) || players[0] === players[1]) {
+                    ui.notifications.error("Visual-QTE | 对抗连打需要恰好指定两名不同的玩家。");
+                    return false;
+                }
+
+                // 对战双方由 targetIds 明确指定，GM 被选中时同样参与
+                data.gmPlay = true;
+                data.versus = players.map((u, i) => ({
+                    userId: u.id,
+                    name: data.characters?.[u.id]?.name ?? u.name,
+                    avatar: u.avatar,
+                    color: u.color?.css ?? u.color,
+                    side: i === 0 ? 'left' : 'right'   // 左方推向 100，右方推向 0
+                }));
+            }
+
+            // 合作连打 - 所有在线参与者共享同一进度条
+            if (data.mashVariant === 'coop') {
+                const players = VisualQTE.getParticipants(data)
+                    .map(id => game.users.get(id))
+                    .filter(u => u.active);
+                if (players.length === 0) {
+                    ui.notifications.error("Visual-QTE | 合作连打没有可参与的在线玩家。");
+                    return false;
+                }
+
+                data.team = players.map(u => ({
+                    userId: u.id,
+                    name: data.characters?.[u.id]?.name ?? u.name,
+                    avatar: u.avatar,
+                    color: u.color?.css ?? u.color
+                }));
+            }
+        },
+        // 多人连打的进度由裁判统一计算，为保证公平不受影响
+        scaleTiming(data, k) {
+            data.mashDecay /= k;
+        },
+        estimateTimeout: data => data.mashDuration * 1000,
+        dialog: {
+            template: modeTemplate('mash'),
+            read: data => ({
+                mashDecay: parseInt(data.mashDecay),
+                mashDuration: parseInt(data.mashDuration),
+                mashPower: parseInt(data.mashPower),
+                mashVariant: data.mashVariant,
+                mashScaleDecay: data.mashScaleDecay
+            })
+        },
+        report: {
+            title: result => ({ versus: "连打对决", coop: "合力连打" }[result.variant] ?? "连打挑战"),
+            summarize(result, baseTitle) {
+                if (result.variant === 'versus') {
+                    return {
+                        headline: result.winnerName
+                            ? `${baseTitle}: ${result.winnerName} ${VERSUS_END_TEXT[result.endReason]}`
+                            : `${baseTitle}: ${VERSUS_END_TEXT.draw}`,
+                        subtitle: "连打对决",
+                        grade: result.winnerId ? 'perfect' : 'pass'
+                    };
+                }
+                return {
+                    headline: `${baseTitle}: ${MASH_END_TEXT[result.endReason]}`,
+                    // 合作连打的共享战报列出全体参与者
+                    subtitle: result.players ? `团队成绩 (${result.players.length} 人)` : undefined
+                };
+            },
+            template: modeTemplate('mash-report')
+        }
+    },
+
+    hold: {
+        label: MODE_LABELS.hold,
+        defaults: {
+            holdCount: 1,        // 默认蓄力1次
+            holdFillTime: 1500,  // 默认1.5秒蓄满
+            holdZoneWidth: 20,   // 默认目标区占20%
+            holdOscillate: false // 默认蓄满即过载，不往返
+        },
+        settings: [
+            { name: 'holdCount', label: "蓄力次数", min: 1, max: 10 },
+            { name: 'holdFillTime', label: "蓄满时长 (毫秒)", min: 500, max: 5000, step: 100 },
+            { name: 'holdZoneWidth', label: "目标区宽度 (%)", min: 5, max: 60 }
+        ],
+        runtime: HoldRuntime,
+        generate(data) {
+            // 预先生成每次蓄力的目标区
+            data.holds = [];
+            const zoneWidth = Math.min(60, Math.max(5, data.holdZoneWidth));
+
+            for (let i = 0; i < data.holdCount; i++) {
+                // 目标区随机落在蓄力条的 30% ~ 95% 区间
+                // 避免一按即松就能命中
+                const minStart = 30;
+                const maxStart = 95 - zoneWidth;
+                const zoneStart = Math.random() * (maxStart - minStart) + minStart;
+
+                data.holds.push({
+                    id: i,                            // 蓄力序号
+                    keyDisplay: 'SPACE',              // 显示文本
+                    targetKey: 'Space',               // 蓄力按键代码
+                    zoneStart: zoneStart,             // 目标区起点 (%)
+                    zoneWidth: zoneWidth,             // 目标区宽度 (%)
+                    fillTime: data.holdFillTime,      // 单程蓄满时长
+                    oscillate: data.holdOscillate     // 是否往返
+                });
+            }
+        },
+        personalize(payload) {
+            // 目标区起点按最宽的目标区生成，换成较窄的个人宽度仍落在蓄力条内
+            const zoneWidth = Math.min(60, Math.max(5, payload.holdZoneWidth));
+            payload.holds = payload.holds.slice(0, payload.holdCount).map(hold => ({
+                ...hold,
+                zoneWidth,
+                fillTime: payload.holdFillTime,
+                oscillate: payload.holdOscillate
+            }));
+        },
+        scaleTiming(data, k) {
+            data.holds = data.holds.map(hold => ({ ...hold, fillTime: hold.fillTime * k }));
+        },
+        // 每次蓄力包含等待按下、最长按住时间、反馈停留与进入下一次前的间隔
+        estimateTimeout: data => data.holdCount * (HOLD_PRESS_TIMEOUT + data.holdFillTime * HOLD_MAX_LEGS + data.feedbackDelay + 200),
+        dialog: {
+            template: modeTemplate('hold'),
+            read: data => ({
+                holdCount: parseInt(data.holdCount),
+                holdFillTime: parseInt(data.holdFillTime),
+                holdZoneWidth: parseInt(data.holdZoneWidth),
+                holdOscillate: data.holdOscillate
+            })
+        },
+        report: {
+            template: modeTemplate('steps-report')
+        }
+    },
+
+    combo: {
+        label: MODE_LABELS.combo,
+        defaults: {
+            comboLength: 6,          // 默认6个方向输入
+            comboTimeLimit: 5000,    // 默认5秒内输完
+            comboOnMistake: 'reset'  // 默认输错从头再来
+        },
+        settings: [
+            { name: 'comboLength', label: "连招长度", min: 2, max: 16 },
+            { name: 'comboTimeLimit', label: "时限 (毫秒)", min: 1000, max: 30000, step: 500 }
+        ],
+        runtime: ComboRuntime,
+        generate(data) {
+            // 预先生成随机方向串
+            data.combo = [];
+            const directions = Object.keys(COMBO_DIRECTIONS);
+
+            for (let i = 0; i < data.comboLength; i++) {
+                const direction = directions[Math.floor(Math.random() * directions.length)];
+                data.combo.push({
+                    id: i,                                        // 序号
+                    direction: direction,                         // 方向名
+                    symbol: COMBO_DIRECTIONS[direction].symbol    // 显示箭头
+                });
+            }
+        },
+        personalize(payload) {
+            payload.combo = payload.combo.slice(0, payload.comboLength);
+        },
+        scaleTiming(data, k) {
+            data.comboTimeLimit *= k;
+        },
+        estimateTimeout: data => data.comboTimeLimit,
+        dialog: {
+            template: modeTemplate('combo'),
+            read: data => ({
+                comboLength: parseInt(data.comboLength),
+                comboTimeLimit: parseInt(data.comboTimeLimit),
+                comboOnMistake: data.comboOnMistake
+            })
+        },
+        report: {
+            summarize: (result, baseTitle) => ({
+                headline: `${baseTitle}: ${COMBO_END_TEXT[result.endReason]}`,
+                // 零失误完成视为完美
+                grade: result.success && result.mistakes === 0 ? 'perfect' : undefined
+            }),
+            template: modeTemplate('combo-report')
+        }
+    },
+
+    aim: {
+        label: MODE_LABELS.aim,
+        defaults: {
+            aimCount: 5,         // 默认5个目标
+            aimLifetime: 1500,   // 默认每个目标存在1.5秒
+            aimInterval: 800,    // 默认每0.8秒出现一个
+            aimSize: 80,         // 默认目标直径80像素
+            aimMotion: 'static'  // 默认目标静止
+        },
+        settings: [
+            { name: 'aimCount', label: "目标个数", min: 1, max: 20 },
+            { name: 'aimLifetime', label: "存在时长 (毫秒)", min: 300, max: 5000, step: 100 },
+            { name: 'aimInterval', label: "出现间隔 (毫秒)", min: 0, max: 5000, step: 100 },
+            { name: 'aimSize', label: "目标直径 (像素)", min: 30, max: 200, step: 5 }
+        ],
+        runtime: AimRuntime,
+        generate(data) {
+            // 预先生成目标的位置、出现时间与运动轨迹
+            data.targets = [];
+
+            for (let i = 0; i < data.aimCount; i++) {
+                // 随机屏幕位置 (15%~85% 范围内)，移动目标额外随机一段位移
+                const minPos = 15; const maxPos = 85;
+                const drift = data.aimMotion === 'move' ? 20 : 0;
+
+                data.targets.push({
+                    id: i,                                                   // 目标序号
+                    x: Math.random() * (maxPos - minPos) + minPos,           // 横向位置 (vw%)
+                    y: Math.random() * (maxPos - minPos) + minPos,           // 纵向位置 (vh%)
+                    dx: (Math.random() * 2 - 1) * drift,                     // 移动位移 (vw)
+                    dy: (Math.random() * 2 - 1) * drift,                     // 移动位移 (vh)
+                    spawnAt: i * data.aimInterval,                           // 出现时间点
+                    lifetime: data.aimLifetime,                              // 存在时长
+                    size: data.aimSize,                                      // 直径
+                    motion: data.aimMotion                                   // 运动方式
+                });
+            }
+        },
+        personalize(payload) {
+            // 位置与轨迹共用，个人参数只影响数量、大小与节奏
+            payload.targets = payload.targets.slice(0, payload.aimCount).map((target, i) => ({
+                ...target,
+                spawnAt: i * payload.aimInterval,
+                lifetime: payload.aimLifetime,
+                size: payload.aimSize
+            }));
+        },
+        scaleTiming(data, k) {
+            data.targets = data.targets.map(target => ({ ...target, lifetime: target.lifetime * k }));
+        },
+        estimateTimeout: data => (data.aimCount - 1) * data.aimInterval + data.aimLifetime,
+        dialog: {
+            template: modeTemplate('aim'),
+            read: data => ({
+                aimCount: parseInt(data.aimCount),
+                aimLifetime: parseInt(data.aimLifetime),
+                aimInterval: parseInt(data.aimInterval),
+                aimSize: parseInt(data.aimSize),
+                aimMotion: data.aimMotion
+            })
+        },
+        report: {
+            template: modeTemplate('aim-report')
+        }
+    },
+
+    balance: {
+        label: MODE_LABELS.balance,
+        defaults: {
+            balanceDuration: 10,  // 默认坚持10秒
+            balanceDrift: 40,     // 默认漂移强度40
+            balanceZoneWidth: 30, // 默认安全区占30%
+            balanceThreshold: 70  // 默认区内时间达到70%即成功
+        },
+        settings: [
+            { name: 'balanceDuration', label: "坚持时长 (秒)", min: 3, max: 60 },
+            { name: 'balanceDrift', label: "漂移强度", min: 5, max: 100 },
+            { name: 'balanceZoneWidth', label: "安全区宽度 (%)", min: 5, max: 80 },
+            { name: 'balanceThreshold', label: "成功所需区内时间 (%)", min: 10, max: 100 }
+        ],
+        runtime: BalanceRuntime,
+        generate(data) {
+            // 预先生成漂移力序列
+            data.driftPattern = [];
+            const segments = Math.ceil(data.balanceDuration * 1000 / BALANCE_DRIFT_SEGMENT) + 1;
+
+            for (let i = 0; i < segments; i++) {
+                // 每段的漂移力在 [-强度, +强度] 之间随机
+                data.driftPattern.push((Math.random() * 2 - 1) * data.balanceDrift);
+            }
+        },
+        personalize(payload, data) {
+            // 漂移节奏共用，按个人强度等比缩放
+            const ratio = data.balanceDrift > 0 ? payload.balanceDrift / data.balanceDrift : 0;
+            payload.driftPattern = payload.driftPattern.map(drift => drift * ratio);
+        },
+        // 漂移越弱越容易保持平衡
+        scaleTiming(data, k) {
+            data.driftPattern = data.driftPattern.map(drift => drift / k);
+            data.balanceDrift /= k;
+        },
+        estimateTimeout: data => data.balanceDuration * 1000,
+        dialog: {
+            template: modeTemplate('balance'),
+            read: data => ({
+                balanceDuration: parseInt(data.balanceDuration),
+                balanceDrift: parseInt(data.balanceDrift),
+                balanceZoneWidth: parseInt(data.balanceZoneWidth),
+                balanceThreshold: parseInt(data.balanceThreshold)
+            })
+        },
+        report: {
+            summarize: (result, baseTitle) => ({
+                headline: `${baseTitle}: ${BALANCE_END_TEXT[result.endReason]}`,
+                // 几乎全程位于安全区视为完美
+                grade: result.success && result.stability >= 95 ? 'perfect' : undefined
+            }),
+            template: modeTemplate('balance-report')
+        }
+    },
+
+    choice: {
+        label: MODE_LABELS.choice,
+        defaults: {
+            choices: [],         // 抉择选项需由调用者提供
+            choiceTime: 10,      // 默认10秒倒计时
+            choiceDefault: CHOICE_SILENCE, // 默认超时即沉默
+            choiceSilenceText: "（沉默）"
+        },
+        settings: [
+            { name: 'choiceTime', label: "倒计时 (秒)", min: 3, max: 60 }
+        ],
+        runtime: ChoiceRuntime,
+        prepare(data) {
+            // 去掉空选项，限制为 2~4 个
+            data.choices = (data.choices ?? []).map(c => String(c ?? '').trim()).filter(c => c).slice(0, 4);
+            if (data.choices.length < 2) {
+                ui.notifications.error("Visual-QTE | 抉择模式至少需要 2 个选项。");
+                return false;
+            }
+            if (!(data.choiceDefault in data.choices)) data.choiceDefault = CHOICE_SILENCE;
+        },
+        scaleTiming(data, k) {
+            data.choiceTime *= k;
+        },
+        estimateTimeout: data => data.choiceTime * 1000,
+        // 全部结果到齐后为 GM 汇总每个人的选择
+        onResults: (data, results) => VisualQTE.postChoiceSummary(data, results),
+        dialog: {
+            template: modeTemplate('choice'),
+            read: data => ({
+                choices: [data.choice0, data.choice1, data.choice2, data.choice3],
+                choiceTime: parseInt(data.choiceTime),
+                choiceDefault: parseInt(data.choiceDefault)
+            })
+        },
+        report: {
+            title: "抉择",
+            // 抉择没有对错，超时未选以失败配色提示
+            summarize: result => ({ grade: result.endReason === 'picked' ? 'clear' : 'fail' }),
+            template: modeTemplate('choice-report')
+        }
+    }
+};